@@ -1,11 +1,65 @@
-import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
 import cytoscape from "cytoscape";
 
 const DEFAULT_FILE = "prometheus/web/api/v1/openapi_examples.go";
 const API_BASE =
   window.location.hostname === "localhost" ? "http://localhost:3000" : "http://backend:3000";
-const MAX_TRANSITIVE_DEPTH = 2;
+const DEFAULT_GRAPH_DEPTH = 2;
+const GRAPH_DEPTH_OPTIONS = [2, 3, 4, 5];
 const MAX_GRAPH_NODES = 60;
+const MAX_TRAVERSAL_NODES = 300;
+const EMPTY_GRAPH_DATA = { nodes: [], edges: [] };
+const SYMBOL_SEARCH_DELAY_MS = 150;
+const SYMBOL_SEARCH_LIMIT = 20;
+const EXPORT_FORMATS = [
+  { value: "dot", label: "DOT" },
+  { value: "graphml", label: "GraphML" },
+  { value: "mermaid", label: "Mermaid" },
+  { value: "jgf", label: "JGF" },
+];
+
+const APP_MODES = [
+  "browse",
+  "graph",
+  "cfg",
+  "dead-code",
+  "packages",
+  "impact",
+  "bookmarks",
+  "inspector",
+  "queries",
+];
+const INSPECTOR_EDGE_PAGE_SIZE = 100;
+const QUERY_ROW_LIMITS = [100, 500, 1000, 5000];
+const GRAPH_VIEWS = ["neighbors", "deep"];
+const INCLUDE_EXTERNAL_OPTIONS = [
+  { value: "all", label: "All externals" },
+  { value: "stdlib", label: "Stdlib only" },
+  { value: "none", label: "Local only" },
+];
+const DEAD_CODE_ROOT_KINDS = [
+  { value: "main", label: "main" },
+  { value: "init", label: "init" },
+  { value: "exported", label: "Exported API" },
+  { value: "tests", label: "Tests" },
+];
+const DEAD_CODE_COLUMNS = [
+  { key: "package", label: "Package" },
+  { key: "file", label: "File" },
+  { key: "name", label: "Function" },
+  { key: "line", label: "Lines" },
+  { key: "lineCount", label: "Size" },
+  { key: "hasCallers", label: "Has callers" },
+];
 
 const GO_KEYWORDS = new Set([
   "break",
@@ -57,17 +111,211 @@ const GO_BUILTINS = new Set([
   "true",
 ]);
 
-function requestJson(path) {
-  return fetch(`${API_BASE}${path}`).then(async (response) => {
-    if (!response.ok) {
-      const text = await response.text();
-      throw new Error(`${response.status} ${response.statusText}: ${text}`);
+const ApiContext = createContext(null);
+
+function useApi() {
+  return useContext(ApiContext);
+}
+
+function withProject(path, projectId) {
+  if (!projectId) {
+    return path;
+  }
+
+  const separator = path.includes("?") ? "&" : "?";
+  return `${path}${separator}project=${encodeURIComponent(projectId)}`;
+}
+
+async function readResponse(response, read) {
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`${response.status} ${response.statusText}: ${text}`);
+  }
+
+  return read(response);
+}
+
+function saveBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function isAbortError(error) {
+  return Boolean(error) && error.name === "AbortError";
+}
+
+function withFallback(promise, fallback) {
+  return promise.catch((error) => {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    return fallback;
+  });
+}
+
+function createApiClient() {
+  let projectId = null;
+  let controller = new AbortController();
+
+  function setProject(nextProjectId) {
+    if (nextProjectId === projectId) {
+      return;
     }
+    controller.abort();
+    controller = new AbortController();
+    projectId = nextProjectId;
+  }
+
+  function request(path, init, read) {
+    const { signal } = controller;
+
+    return fetch(`${API_BASE}${withProject(path, projectId)}`, { ...init, signal })
+      .then((response) => readResponse(response, read))
+      .then((payload) => {
+        signal.throwIfAborted();
+        return payload;
+      });
+  }
+
+  function sendJson(method, path, body) {
+    return request(
+      path,
+      {
+        method,
+        headers: body === undefined ? {} : { "content-type": "application/json" },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      },
+      (response) => response.json(),
+    );
+  }
+
+  return {
+    getProjectId: () => projectId,
+    setProject,
+    requestJson: (path) => request(path, {}, (response) => response.json()),
+    sendJson,
+    postJson: (path, body) => sendJson("POST", path, body),
+    downloadFromApi(path) {
+      const link = document.createElement("a");
+      link.href = `${API_BASE}${withProject(path, projectId)}`;
+      link.download = "";
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    },
+    downloadPostFromApi(path, body) {
+      return request(
+        path,
+        {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify(body),
+        },
+        async (response) => {
+          const disposition = response.headers.get("content-disposition") || "";
+          const match = /filename="([^"]+)"/.exec(disposition);
+          return { blob: await response.blob(), fileName: match ? match[1] : "" };
+        },
+      ).then(({ blob, fileName }) => saveBlob(blob, fileName));
+    },
+  };
+}
+
+function loadReferenceSites(api, file) {
+  return withFallback(
+    api
+      .requestJson(`/call-graph/file-references?file=${encodeURIComponent(file)}`)
+      .then((payload) => (Array.isArray(payload.sites) ? payload.sites : [])),
+    [],
+  );
+}
+
+function loadNotes(api, file) {
+  return withFallback(
+    api
+      .requestJson(`/annotations/notes?file=${encodeURIComponent(file)}`)
+      .then((payload) => (Array.isArray(payload.notes) ? payload.notes : [])),
+    [],
+  );
+}
+
+function applyPinnedPositions(elements, pinnedPositions) {
+  if (!pinnedPositions) {
+    return elements;
+  }
 
-    return response.json();
+  return elements.map((element) => {
+    const position = element.data.source ? null : pinnedPositions[element.data.id];
+    return position ? { ...element, position: { ...position }, locked: true } : element;
   });
 }
 
+function parseLineRange(value) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(value || "");
+  if (!match) {
+    return null;
+  }
+
+  const start = Number(match[1]);
+  const end = match[2] ? Number(match[2]) : start;
+  return start >= 1 && end >= start ? { start, end } : null;
+}
+
+function readLocationState() {
+  const params = new URLSearchParams(window.location.search);
+  const functionId = params.get("function") || null;
+  const mode = params.get("mode");
+  const graphView = params.get("view");
+  const depth = Number(params.get("depth"));
+
+  return {
+    project: params.get("project") || null,
+    file: params.get("file") || null,
+    range: parseLineRange(params.get("lines")),
+    functionId,
+    mode:
+      APP_MODES.includes(mode) && ((mode !== "graph" && mode !== "cfg") || functionId)
+        ? mode
+        : "browse",
+    graphView: GRAPH_VIEWS.includes(graphView) ? graphView : "neighbors",
+    depth: GRAPH_DEPTH_OPTIONS.includes(depth) ? depth : DEFAULT_GRAPH_DEPTH,
+  };
+}
+
+function buildLocationSearch({ project, mode, file, range, functionId, graphView, depth }) {
+  const params = new URLSearchParams();
+  if (project) {
+    params.set("project", project);
+  }
+  if (mode !== "browse") {
+    params.set("mode", mode);
+  }
+  if (file) {
+    params.set("file", file);
+  }
+  if (range) {
+    params.set("lines", range.end > range.start ? `${range.start}-${range.end}` : `${range.start}`);
+  }
+  if (functionId) {
+    params.set("function", functionId);
+  }
+  if (mode === "graph") {
+    params.set("view", graphView);
+    if (graphView === "deep") {
+      params.set("depth", String(depth));
+    }
+  }
+
+  const search = params.toString();
+  return search ? `?${search}` : "";
+}
+
 function getParentPath(path) {
   if (!path) {
     return "";
@@ -128,8 +376,8 @@ function getFunctionNameCandidates(name) {
   );
 }
 
-function findIdentifierRange(line, candidate) {
-  let start = line.indexOf(candidate);
+function findIdentifierRange(line, candidate, fromIndex = 0) {
+  let start = line.indexOf(candidate, fromIndex);
 
   while (start !== -1) {
     const end = start + candidate.length;
@@ -184,6 +432,55 @@ function findFunctionMatches(line, functionsOnLine) {
     });
 }
 
+function findReferenceMatches(line, sitesOnLine, declarationMatches) {
+  if (!sitesOnLine || sitesOnLine.length === 0) {
+    return [];
+  }
+
+  return sitesOnLine
+    .map((site) => {
+      const definition = site.definitions.find((candidate) => candidate.file);
+      if (!definition) {
+        return null;
+      }
+
+      const leaf = String(site.name || "").split(".").pop().replace(/[^A-Za-z0-9_]/g, "");
+      if (!leaf) {
+        return null;
+      }
+
+      const range =
+        findIdentifierRange(line, leaf, Math.max(Number(site.col || 1) - 1, 0)) ||
+        findIdentifierRange(line, leaf);
+      if (!range) {
+        return null;
+      }
+
+      return {
+        ...site,
+        definition,
+        displayName: leaf,
+        start: range.start,
+        end: range.end,
+      };
+    })
+    .filter(Boolean)
+    .filter((match) =>
+      declarationMatches.every(
+        (declaration) => match.end <= declaration.start || match.start >= declaration.end,
+      ),
+    );
+}
+
+function mergeLineMatches(declarationMatches, referenceMatches) {
+  return [
+    ...declarationMatches.map((match) => ({ ...match, type: "declaration" })),
+    ...referenceMatches.map((match) => ({ ...match, type: "reference" })),
+  ]
+    .sort((left, right) => left.start - right.start)
+    .filter((match, index, all) => index === 0 || match.start >= all[index - 1].end);
+}
+
 function rankTraversalNode(node, selectedFunction) {
   const depth = Number(node.depth || 0);
   const samePackage = node.package && node.package === selectedFunction?.package ? 1 : 0;
@@ -220,72 +517,62 @@ function takeMeaningfulNodes(nodes, budget, selectedFunction) {
 }
 
 function isAllowedGraphNode(node) {
-  if (!node || !node.id) {
-    return false;
-  }
+  return Boolean(node && node.id);
+}
+
+function isCollapsibleExternal(node) {
+  return (node.origin === "stdlib" || node.origin === "third-party") && Boolean(node.module);
+}
 
-  if (!node.file) {
-    return true;
+function getDisplayRelation(node) {
+  if (node.relation === "focus") {
+    return "focus";
   }
 
-  return String(node.file).toLowerCase().endsWith(".go");
+  return node.relation === "callee" ? "callee" : "caller";
 }
 
 function selectGraphData(graphData, graphView, selectedFunction) {
-  const neighborhood = (Array.isArray(graphData.neighborhood) ? graphData.neighborhood : []).filter(
-    isAllowedGraphNode,
-  );
-  const callChain = (Array.isArray(graphData.callChain) ? graphData.callChain : []).filter(
-    isAllowedGraphNode,
-  );
-  const callers = (Array.isArray(graphData.callers) ? graphData.callers : []).filter(
-    isAllowedGraphNode,
+  const nodes = (Array.isArray(graphData.nodes) ? graphData.nodes : []).filter(isAllowedGraphNode);
+  const edges = Array.isArray(graphData.edges) ? graphData.edges : [];
+  const focusNodes = nodes.filter((node) => node.relation === "focus");
+  const directNodes = nodes.filter(
+    (node) => node.relation !== "focus" && Number(node.depth || 0) === 1,
   );
+  let selectedNodes = [...focusNodes, ...directNodes];
+
+  if (graphView !== "neighbors") {
+    const transitiveNodes = nodes.filter((node) => Number(node.depth || 0) > 1);
+    const callers = transitiveNodes.filter((node) => getDisplayRelation(node) === "caller");
+    const callees = transitiveNodes.filter((node) => getDisplayRelation(node) === "callee");
+    const remainingBudget = Math.max(MAX_GRAPH_NODES - 1 - directNodes.length, 0);
+
+    const callerBudget = Math.floor(remainingBudget / 2);
+    const calleeBudget = remainingBudget - callerBudget;
+    const selectedCallers = takeMeaningfulNodes(callers, callerBudget, selectedFunction);
+    const selectedCallees = takeMeaningfulNodes(callees, calleeBudget, selectedFunction);
+    const extras = [];
+
+    const leftoverBudget =
+      remainingBudget - selectedCallers.length - selectedCallees.length;
+
+    if (leftoverBudget > 0) {
+      const selectedIds = new Set([
+        ...selectedCallers.map((node) => node.id),
+        ...selectedCallees.map((node) => node.id),
+      ]);
+      const remainingNodes = transitiveNodes.filter((node) => !selectedIds.has(node.id));
+      extras.push(...takeMeaningfulNodes(remainingNodes, leftoverBudget, selectedFunction));
+    }
 
-  if (graphView === "neighbors") {
-    return {
-      neighborhood,
-      callChain: [],
-      callers: [],
-    };
+    selectedNodes = [...selectedNodes, ...selectedCallers, ...selectedCallees, ...extras];
   }
 
-  const directIds = new Set(neighborhood.map((node) => node.id));
-  const remainingBudget = Math.max(MAX_GRAPH_NODES - 1 - directIds.size, 0);
-  const filteredCallers = callers.filter((node) => !directIds.has(node.id));
-  const filteredCallees = callChain.filter((node) => !directIds.has(node.id));
-
-  const callerBudget = Math.floor(remainingBudget / 2);
-  const calleeBudget = remainingBudget - callerBudget;
-  let selectedCallers = takeMeaningfulNodes(filteredCallers, callerBudget, selectedFunction);
-  let selectedCallees = takeMeaningfulNodes(filteredCallees, calleeBudget, selectedFunction);
-
-  const leftoverBudget =
-    remainingBudget - selectedCallers.length - selectedCallees.length;
-
-  if (leftoverBudget > 0) {
-    const selectedIds = new Set([
-      ...selectedCallers.map((node) => node.id),
-      ...selectedCallees.map((node) => node.id),
-    ]);
-    const remainingNodes = [...filteredCallers, ...filteredCallees].filter(
-      (node) => !selectedIds.has(node.id),
-    );
-    const extras = takeMeaningfulNodes(remainingNodes, leftoverBudget, selectedFunction);
-
-    for (const node of extras) {
-      if (callers.some((candidate) => candidate.id === node.id)) {
-        selectedCallers.push(node);
-      } else {
-        selectedCallees.push(node);
-      }
-    }
-  }
+  const selectedIds = new Set(selectedNodes.map((node) => node.id));
 
   return {
-    neighborhood,
-    callers: selectedCallers,
-    callChain: selectedCallees,
+    nodes: selectedNodes,
+    edges: edges.filter((edge) => selectedIds.has(edge.source) && selectedIds.has(edge.target)),
   };
 }
 
@@ -294,373 +581,2482 @@ function buildGraphElements(selectedFunction, graphData) {
     return [];
   }
 
-  const nodeMap = new Map();
-  const edgeList = [];
-  const { neighborhood = [], callChain = [], callers = [] } = graphData || {};
+  const focusId = selectedFunction.function_id;
+  const { nodes = [], edges = [] } = graphData || {};
+  const relationById = new Map([[focusId, "focus"]]);
+  const nodeElements = [
+    {
+      data: {
+        id: focusId,
+        label: selectedFunction.name,
+        file: selectedFunction.file,
+        line: selectedFunction.line,
+        package: selectedFunction.package,
+        relation: "focus",
+        depth: 0,
+      },
+      classes: "focus",
+    },
+  ];
+
+  const moduleElements = new Map();
+  const elementIdByNodeId = new Map([[focusId, focusId]]);
 
-  function upsertNode(id, nextData, classes = []) {
-    const existing = nodeMap.get(id);
-    if (!existing) {
-      nodeMap.set(id, {
-        data: nextData,
-        classes: Array.from(new Set(classes)).join(" "),
-      });
-      return;
+  for (const node of nodes) {
+    if (node.id === focusId) {
+      continue;
     }
 
-    existing.data = { ...existing.data, ...nextData };
-    existing.classes = Array.from(
-      new Set(`${existing.classes} ${classes.join(" ")}`.trim().split(/\s+/).filter(Boolean)),
-    ).join(" ");
-  }
+    const depth = Number(node.depth || 0);
+    const relation = getDisplayRelation(node);
+
+    if (isCollapsibleExternal(node)) {
+      const moduleId = `module:${node.module}`;
+      elementIdByNodeId.set(node.id, moduleId);
+      const existing = moduleElements.get(moduleId);
+      if (existing) {
+        existing.data.functionCount += 1;
+        existing.data.label = `${node.module} (${existing.data.functionCount})`;
+        existing.data.depth = Math.min(existing.data.depth, depth);
+        continue;
+      }
 
-  upsertNode(
-    selectedFunction.function_id,
-    {
-      id: selectedFunction.function_id,
-      label: selectedFunction.name,
-      file: selectedFunction.file,
-      line: selectedFunction.line,
-      package: selectedFunction.package,
-      relation: "focus",
-      depth: 0,
-    },
-    ["focus"],
-  );
+      relationById.set(moduleId, relation);
+      moduleElements.set(moduleId, {
+        data: {
+          id: moduleId,
+          label: node.module,
+          package: node.module,
+          relation,
+          depth,
+          origin: node.origin,
+          functionCount: 1,
+          selectable: false,
+        },
+        classes: [relation, "external-module", node.origin].join(" "),
+      });
+      continue;
+    }
 
-  for (const node of neighborhood) {
-    upsertNode(
-      node.id,
-      {
+    elementIdByNodeId.set(node.id, node.id);
+    relationById.set(node.id, relation);
+    nodeElements.push({
+      data: {
         id: node.id,
         label: node.name,
-        file: node.file,
-        line: node.line,
+        file: node.file || null,
+        line: node.line || null,
         package: node.package,
-        relation: node.direction,
-        depth: 1,
-      },
-      [node.direction, "direct"],
-    );
-
-    edgeList.push({
-      data: {
-        id: `${selectedFunction.function_id}:direct:${node.direction}:${node.id}`,
-        source: node.direction === "caller" ? node.id : selectedFunction.function_id,
-        target: node.direction === "caller" ? selectedFunction.function_id : node.id,
+        relation,
+        depth,
       },
-      classes: `${node.direction} direct`,
+      classes: [relation, depth === 1 ? "direct" : "transitive", `depth-${depth}`].join(" "),
     });
   }
 
-  const callerDepths = new Map();
-  for (const node of callers) {
-    if (node.id === selectedFunction.function_id) {
+  const edgeElements = new Map();
+  for (const edge of edges) {
+    const source = elementIdByNodeId.get(edge.source);
+    const target = elementIdByNodeId.get(edge.target);
+    if (!source || !target) {
       continue;
     }
-    const depth = Number(node.depth || 0);
-    const enrichedNode = {
-      id: node.id,
-      label: node.name,
-      file: node.file || null,
-      line: node.line || null,
-      package: node.package,
-      relation: "caller",
-      depth,
-    };
-    upsertNode(node.id, enrichedNode, ["caller", "transitive", `depth-${depth}`]);
-
-    const bucket = callerDepths.get(depth) || [];
-    bucket.push(enrichedNode);
-    callerDepths.set(depth, bucket);
-  }
 
-  const calleeDepths = new Map();
-  for (const node of callChain) {
-    if (node.id === selectedFunction.function_id) {
+    const id = `${source}->${target}`;
+    if (edgeElements.has(id)) {
       continue;
     }
-    const depth = Number(node.depth || 0);
-    const enrichedNode = {
-      id: node.id,
-      label: node.name,
-      file: node.file || null,
-      line: node.line || null,
-      package: node.package,
-      relation: "callee",
-      depth,
+
+    const relation = relationById.get(source) === "caller" ? "caller" : "callee";
+    const isDirect = source === focusId || target === focusId;
+    edgeElements.set(id, {
+      data: {
+        id,
+        source,
+        target,
+        callLines: edge.callLines || [],
+        dynamic: Boolean(edge.dynamic),
+      },
+      classes: [relation, isDirect ? "direct" : "transitive", edge.dynamic ? "dynamic" : ""]
+        .filter(Boolean)
+        .join(" "),
+    });
+  }
+
+  return [...nodeElements, ...moduleElements.values(), ...edgeElements.values()];
+}
+
+function buildDiffGraphElements(diffData) {
+  const nodes = Array.isArray(diffData.nodes) ? diffData.nodes : [];
+  const edges = Array.isArray(diffData.edges) ? diffData.edges : [];
+  const relationByKey = new Map(nodes.map((node) => [node.key, getDisplayRelation(node)]));
+
+  const nodeElements = nodes.map((node) => {
+    const relation = relationByKey.get(node.key);
+    return {
+      data: {
+        id: node.key,
+        functionId: node.headId,
+        label: node.name,
+        file: node.file || null,
+        line: node.line || null,
+        package: node.package,
+        relation,
+        status: node.status,
+        selectable: Boolean(node.headId),
+      },
+      classes: [relation, "direct", node.status].join(" "),
     };
-    upsertNode(node.id, enrichedNode, ["callee", "transitive", `depth-${depth}`]);
+  });
+
+  const edgeElements = edges
+    .filter((edge) => relationByKey.has(edge.source) && relationByKey.has(edge.target))
+    .map((edge) => ({
+      data: {
+        id: edge.id,
+        source: edge.source,
+        target: edge.target,
+        status: edge.status,
+      },
+      classes: `${relationByKey.get(edge.source) === "caller" ? "caller" : "callee"} ${edge.status}`,
+    }));
+
+  return [...nodeElements, ...edgeElements];
+}
 
-    const bucket = calleeDepths.get(depth) || [];
-    bucket.push(enrichedNode);
-    calleeDepths.set(depth, bucket);
+function buildPackageGraphElements(packageGraph, expandedPackages) {
+  if (!packageGraph) {
+    return [];
   }
 
-  for (const [depth, nodes] of callerDepths.entries()) {
-    const previousNodes =
-      depth === 1
-        ? [{ id: selectedFunction.function_id }]
-        : callerDepths.get(depth - 1) || [{ id: selectedFunction.function_id }];
+  const cycleByPackage = new Map(packageGraph.packages.map((entry) => [entry.id, entry.cycle]));
+  const nodeElements = [];
+
+  for (const entry of packageGraph.packages) {
+    const expanded = expandedPackages[entry.id];
+    const classes = [
+      "package",
+      expanded ? "expanded" : "",
+      entry.cycle !== null ? "cycle" : "",
+      entry.external ? "external" : "",
+    ];
+    nodeElements.push({
+      data: {
+        id: `pkg:${entry.id}`,
+        packageName: entry.id,
+        label: expanded ? entry.id : `${entry.id}\n${entry.functionCount} fn`,
+        functionCount: entry.functionCount,
+      },
+      classes: classes.filter(Boolean).join(" "),
+    });
 
-    for (const node of nodes) {
-      for (const previousNode of previousNodes) {
-        edgeList.push({
+    if (expanded) {
+      for (const fn of expanded.functions) {
+        nodeElements.push({
           data: {
-            id: `caller:${depth}:${previousNode.id}:${node.id}`,
-            source: node.id,
-            target: previousNode.id,
+            id: `fn:${fn.id}`,
+            parent: `pkg:${entry.id}`,
+            functionId: fn.id,
+            label: fn.name,
+            file: fn.file,
+            line: fn.line,
+            package: fn.package,
           },
-          classes: depth === 1 ? "caller direct" : "caller transitive",
+          classes: "function",
         });
       }
     }
   }
 
-  for (const [depth, nodes] of calleeDepths.entries()) {
-    const previousNodes =
-      depth === 1
-        ? [{ id: selectedFunction.function_id }]
-        : calleeDepths.get(depth - 1) || [{ id: selectedFunction.function_id }];
+  const edgesById = new Map();
+  function addEdge(source, target, callCount, sourcePackage, targetPackage) {
+    if (source === target) {
+      return;
+    }
 
-    for (const node of nodes) {
-      for (const previousNode of previousNodes) {
-        edgeList.push({
-          data: {
-            id: `callee:${depth}:${previousNode.id}:${node.id}`,
-            source: previousNode.id,
-            target: node.id,
-          },
-          classes: depth === 1 ? "callee direct" : "callee transitive",
-        });
-      }
+    const id = `${source}->${target}`;
+    const sourceCycle = cycleByPackage.get(sourcePackage);
+    const existing = edgesById.get(id);
+    if (existing) {
+      existing.data.callCount += callCount;
+      existing.data.label = String(existing.data.callCount);
+      return;
     }
+    edgesById.set(id, {
+      data: { id, source, target, callCount, label: String(callCount) },
+      classes:
+        sourcePackage !== targetPackage &&
+        sourceCycle !== null &&
+        sourceCycle === cycleByPackage.get(targetPackage)
+          ? "cycle"
+          : "",
+    });
   }
 
-  return [...nodeMap.values(), ...edgeList];
-}
+  for (const edge of packageGraph.edges) {
+    if (!expandedPackages[edge.source] && !expandedPackages[edge.target]) {
+      addEdge(`pkg:${edge.source}`, `pkg:${edge.target}`, edge.callCount, edge.source, edge.target);
+    }
+  }
 
-function CodeSegment({ html }) {
-  if (!html) {
-    return <span>&nbsp;</span>;
+  const seenFunctionEdges = new Set();
+  for (const expanded of Object.values(expandedPackages)) {
+    for (const edge of expanded.edges) {
+      if (
+        seenFunctionEdges.has(edge.id) ||
+        !cycleByPackage.has(edge.sourcePackage) ||
+        !cycleByPackage.has(edge.targetPackage)
+      ) {
+        continue;
+      }
+      seenFunctionEdges.add(edge.id);
+
+      const source = expandedPackages[edge.sourcePackage]
+        ? `fn:${edge.source}`
+        : `pkg:${edge.sourcePackage}`;
+      const target = expandedPackages[edge.targetPackage]
+        ? `fn:${edge.target}`
+        : `pkg:${edge.targetPackage}`;
+      addEdge(source, target, edge.callCount, edge.sourcePackage, edge.targetPackage);
+    }
   }
 
-  return <span dangerouslySetInnerHTML={{ __html: html }} />;
+  return [...nodeElements, ...edgesById.values()];
 }
 
-function FunctionLine({
-  line,
-  functionsOnLine,
-  selectedFunctionId,
-  onFunctionClick,
-}) {
-  const matches = useMemo(() => findFunctionMatches(line, functionsOnLine), [line, functionsOnLine]);
-
-  if (matches.length === 0) {
-    return <CodeSegment html={highlightGoHtml(line)} />;
+function buildCfgElements(cfg) {
+  if (!cfg) {
+    return [];
   }
 
-  const pieces = [];
-  let cursor = 0;
-
-  for (const match of matches) {
-    if (match.start > cursor) {
-      pieces.push(
-        <CodeSegment
-          key={`text:${cursor}:${match.start}`}
-          html={highlightGoHtml(line.slice(cursor, match.start))}
-        />,
-      );
-    }
-
-    pieces.push(
-      <button
-        key={match.function_id}
-        type="button"
-        className={`function-chip ${
-          selectedFunctionId === match.function_id ? "function-chip--selected" : ""
-        }`}
-        onClick={() => onFunctionClick(match)}
-      >
-        {match.displayName || match.name}
-      </button>,
-    );
-    cursor = match.end;
-  }
+  const nodes = cfg.blocks.map((block) => {
+    const lines =
+      block.startLine === null
+        ? "?"
+        : block.endLine > block.startLine
+          ? `${block.startLine}-${block.endLine}`
+          : `${block.startLine}`;
+    const kinds = Array.from(new Set(block.nodes.map((node) => node.kind))).slice(0, 3);
+    return {
+      data: {
+        id: block.id,
+        label: `L${lines}\n${kinds.join(", ")}`,
+        startLine: block.startLine,
+        endLine: block.endLine,
+      },
+      classes: [
+        "block",
+        block.entry ? "entry" : "",
+        block.exit ? "exit" : "",
+        block.loopHeader ? "loop" : "",
+      ]
+        .filter(Boolean)
+        .join(" "),
+    };
+  });
 
-  if (cursor < line.length) {
-    pieces.push(
-      <CodeSegment
-        key={`text:${cursor}:end`}
-        html={highlightGoHtml(line.slice(cursor))}
-      />,
-    );
-  }
+  const edges = cfg.edges.map((edge, index) => ({
+    data: {
+      id: `${edge.from}->${edge.to}:${index}`,
+      source: edge.from,
+      target: edge.to,
+      label: edge.label === "fallthrough" ? "" : edge.label,
+    },
+    classes: [edge.label, edge.backEdge ? "back" : ""].filter(Boolean).join(" "),
+  }));
 
-  return pieces;
+  return [...nodes, ...edges];
 }
 
-function SourceViewer({
-  content,
-  functions,
-  selectedFunctionId,
-  selectedLine,
-  onFunctionClick,
-}) {
+function PackageGraphPanel({ onFunctionSelect, onClose }) {
+  const api = useApi();
   const containerRef = useRef(null);
-  const lineRefs = useRef(new Map());
-  const lines = useMemo(() => content.split("\n"), [content]);
-  const functionsByLine = useMemo(() => {
-    const nextMap = new Map();
+  const [includeExternal, setIncludeExternal] = useState(false);
+  const [packageGraph, setPackageGraph] = useState(null);
+  const [expandedPackages, setExpandedPackages] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const elements = useMemo(
+    () => buildPackageGraphElements(packageGraph, expandedPackages),
+    [packageGraph, expandedPackages],
+  );
 
-    for (const fn of functions) {
-      const current = nextMap.get(fn.line) || [];
-      current.push(fn);
-      nextMap.set(fn.line, current);
-    }
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError("");
+    setExpandedPackages({});
+
+    api
+      .requestJson(`/call-graph/packages?includeExternal=${includeExternal}`)
+      .then((payload) => {
+        if (!cancelled) {
+          setPackageGraph(payload);
+        }
+      })
+      .catch((requestError) => {
+        if (!cancelled) {
+          setPackageGraph(null);
+          setError(String(requestError.message || requestError));
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      });
 
-    return nextMap;
-  }, [functions]);
+    return () => {
+      cancelled = true;
+    };
+  }, [api, includeExternal]);
+
+  const togglePackage = useCallback(
+    async (packageName) => {
+      if (expandedPackages[packageName]) {
+        setExpandedPackages((current) => {
+          const next = { ...current };
+          delete next[packageName];
+          return next;
+        });
+        return;
+      }
 
-  useLayoutEffect(() => {
-    if (!containerRef.current || !selectedLine) {
-      return;
-    }
+      try {
+        const payload = await api.requestJson(
+          `/call-graph/packages/expand?package=${encodeURIComponent(packageName)}&includeExternal=${includeExternal}`,
+        );
+        setExpandedPackages((current) => ({ ...current, [packageName]: payload }));
+      } catch (requestError) {
+        setError(String(requestError.message || requestError));
+      }
+    },
+    [api, expandedPackages, includeExternal],
+  );
+
+  useEffect(() => {
+    if (!containerRef.current || elements.length === 0) {
+      return undefined;
+    }
+
+    const maxCallCount = Math.max(
+      1,
+      ...elements.filter((element) => element.data.callCount).map((element) => element.data.callCount),
+    );
+
+    const cy = cytoscape({
+      container: containerRef.current,
+      elements,
+      layout: {
+        name: "cose",
+        animate: false,
+        fit: true,
+        padding: 40,
+        nodeRepulsion: 24000,
+        idealEdgeLength: 180,
+        randomize: false,
+      },
+      wheelSensitivity: 0.2,
+      style: [
+        {
+          selector: "node.package",
+          style: {
+            label: "data(label)",
+            shape: "round-rectangle",
+            "background-color": "#0f766e",
+            color: "#ffffff",
+            "font-size": 10,
+            "text-valign": "center",
+            "text-halign": "center",
+            "text-wrap": "wrap",
+            width: "mapData(functionCount, 1, 200, 70, 150)",
+            height: "mapData(functionCount, 1, 200, 36, 70)",
+            "border-width": 2,
+            "border-color": "#ccfbf1",
+          },
+        },
+        {
+          selector: "node.package.external",
+          style: {
+            "background-color": "#94a3b8",
+            "border-color": "#e2e8f0",
+          },
+        },
+        {
+          selector: "node.package.cycle",
+          style: {
+            "border-color": "#ef4444",
+            "border-width": 4,
+          },
+        },
+        {
+          selector: "node.package.expanded",
+          style: {
+            "background-color": "rgba(15, 118, 110, 0.08)",
+            color: "#134e4a",
+            "text-valign": "top",
+            "font-weight": 700,
+            padding: 16,
+          },
+        },
+        {
+          selector: "node.function",
+          style: {
+            label: "data(label)",
+            "background-color": "#2563eb",
+            color: "#1f2937",
+            "font-size": 9,
+            "text-valign": "bottom",
+            width: 22,
+            height: 22,
+          },
+        },
+        {
+          selector: "edge",
+          style: {
+            label: "data(label)",
+            "font-size": 8,
+            color: "#5b5249",
+            width: `mapData(callCount, 1, ${maxCallCount}, 1.2, 8)`,
+            "curve-style": "bezier",
+            "target-arrow-shape": "triangle",
+            "line-color": "rgba(91, 82, 73, 0.45)",
+            "target-arrow-color": "rgba(91, 82, 73, 0.45)",
+            "arrow-scale": 0.8,
+          },
+        },
+        {
+          selector: "edge.cycle",
+          style: {
+            "line-color": "#ef4444",
+            "target-arrow-color": "#ef4444",
+          },
+        },
+      ],
+    });
+
+    cy.on("tap", "node", (event) => {
+      const data = event.target.data();
+      if (data.functionId) {
+        onFunctionSelect({
+          function_id: data.functionId,
+          name: data.label,
+          file: data.file,
+          line: data.line,
+          package: data.package,
+        });
+        return;
+      }
+      togglePackage(data.packageName);
+    });
+
+    return () => {
+      cy.destroy();
+    };
+  }, [elements, onFunctionSelect, togglePackage]);
+
+  return (
+    <section className="panel graph-panel">
+      <div className="graph-topbar">
+        <div className="graph-actions">
+          <button type="button" className="ghost-button" onClick={onClose}>
+            Back
+          </button>
+          <label className="dead-code-panel__option">
+            <input
+              type="checkbox"
+              checked={includeExternal}
+              onChange={(event) => setIncludeExternal(event.target.checked)}
+            />
+            Include external
+          </label>
+        </div>
+        <div className="graph-meta">
+          <span className="meta-pill">{packageGraph?.packageCount ?? "-"} packages</span>
+          <span className="meta-pill meta-pill--muted">{packageGraph?.edgeCount ?? "-"} edges</span>
+          <span
+            className={`meta-pill ${packageGraph?.cycleCount ? "meta-pill--danger" : "meta-pill--muted"}`}
+          >
+            {packageGraph?.cycleCount ?? "-"} cycles
+          </span>
+        </div>
+      </div>
+      {error ? <div className="graph-empty">{error}</div> : null}
+      {!error && isLoading ? <div className="graph-empty">Loading packages...</div> : null}
+      {!error && !isLoading ? <div ref={containerRef} className="graph-canvas" /> : null}
+    </section>
+  );
+}
+
+function CodeSegment({ html }) {
+  if (!html) {
+    return <span>&nbsp;</span>;
+  }
+
+  return <span dangerouslySetInnerHTML={{ __html: html }} />;
+}
+
+function FunctionLine({
+  line,
+  functionsOnLine,
+  sitesOnLine,
+  selectedFunctionId,
+  onFunctionClick,
+  onDefinitionOpen,
+  onFindUsages,
+}) {
+  const matches = useMemo(() => {
+    const declarationMatches = findFunctionMatches(line, functionsOnLine);
+    const referenceMatches = findReferenceMatches(line, sitesOnLine, declarationMatches);
+    return mergeLineMatches(declarationMatches, referenceMatches);
+  }, [line, functionsOnLine, sitesOnLine]);
+
+  if (matches.length === 0) {
+    return <CodeSegment html={highlightGoHtml(line)} />;
+  }
+
+  const pieces = [];
+  let cursor = 0;
+
+  for (const match of matches) {
+    if (match.start > cursor) {
+      pieces.push(
+        <CodeSegment
+          key={`text:${cursor}:${match.start}`}
+          html={highlightGoHtml(line.slice(cursor, match.start))}
+        />,
+      );
+    }
+
+    if (match.type === "reference") {
+      const location = `${match.definition.file}${match.definition.line ? `:${match.definition.line}` : ""}`;
+      pieces.push(
+        <button
+          key={`ref:${match.id}`}
+          type="button"
+          className="reference-link"
+          onClick={() => onDefinitionOpen(match.definition)}
+          onContextMenu={(event) => {
+            event.preventDefault();
+            onFindUsages(match.definition.id, match.displayName);
+          }}
+          title={`Go to ${location}${
+            match.definitions.length > 1 ? ` (+${match.definitions.length - 1} more)` : ""
+          }, right-click to find usages`}
+        >
+          {match.displayName}
+        </button>,
+      );
+    } else {
+      pieces.push(
+        <button
+          key={match.function_id}
+          type="button"
+          className={`function-chip ${
+            selectedFunctionId === match.function_id ? "function-chip--selected" : ""
+          }`}
+          onClick={() => onFunctionClick(match)}
+          onContextMenu={(event) => {
+            event.preventDefault();
+            onFindUsages(match.function_id, match.displayName || match.name);
+          }}
+          title="Click to open the call graph, right-click to find usages"
+        >
+          {match.displayName || match.name}
+        </button>,
+      );
+    }
+    cursor = match.end;
+  }
+
+  if (cursor < line.length) {
+    pieces.push(
+      <CodeSegment
+        key={`text:${cursor}:end`}
+        html={highlightGoHtml(line.slice(cursor))}
+      />,
+    );
+  }
+
+  return pieces;
+}
+
+function SourceNote({ note, onSave, onDelete, onCancel }) {
+  const [draft, setDraft] = useState(note ? null : "");
+  const [error, setError] = useState("");
+
+  async function save() {
+    setError("");
+    try {
+      await onSave(draft);
+      setDraft(null);
+    } catch (requestError) {
+      setError(String(requestError.message || requestError));
+    }
+  }
+
+  if (draft === null) {
+    return (
+      <div className="source-note">
+        <div className="source-note__text">{note.text}</div>
+        <div className="source-note__actions">
+          <button type="button" className="source-note__action" onClick={() => setDraft(note.text)}>
+            Edit
+          </button>
+          <button type="button" className="source-note__action" onClick={() => onDelete(note.id)}>
+            Delete
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="source-note source-note--editing">
+      <textarea
+        className="source-note__input"
+        value={draft}
+        onChange={(event) => setDraft(event.target.value)}
+        placeholder="Write a note"
+        autoFocus
+      />
+      {error ? <div className="source-note__error">{error}</div> : null}
+      <div className="source-note__actions">
+        <button
+          type="button"
+          className="source-note__action"
+          onClick={save}
+          disabled={!draft.trim()}
+        >
+          Save
+        </button>
+        <button
+          type="button"
+          className="source-note__action"
+          onClick={() => (note ? setDraft(null) : onCancel())}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function SourceViewer({
+  content,
+  functions,
+  referenceSites,
+  notes,
+  selectedFunctionId,
+  selectedLine,
+  highlightedRange,
+  onFunctionClick,
+  onDefinitionOpen,
+  onFindUsages,
+  onLineSelect,
+  onNoteCreate,
+  onNoteUpdate,
+  onNoteDelete,
+}) {
+  const containerRef = useRef(null);
+  const lineRefs = useRef(new Map());
+  const [draftLine, setDraftLine] = useState(null);
+  const lines = useMemo(() => content.split("\n"), [content]);
+  const functionsByLine = useMemo(() => {
+    const nextMap = new Map();
+
+    for (const fn of functions) {
+      const current = nextMap.get(fn.line) || [];
+      current.push(fn);
+      nextMap.set(fn.line, current);
+    }
+
+    return nextMap;
+  }, [functions]);
+  const sitesByLine = useMemo(() => {
+    const nextMap = new Map();
+
+    for (const site of referenceSites) {
+      const current = nextMap.get(site.line) || [];
+      current.push(site);
+      nextMap.set(site.line, current);
+    }
+
+    return nextMap;
+  }, [referenceSites]);
+  const notesByLine = useMemo(() => {
+    const nextMap = new Map();
+
+    for (const note of notes) {
+      const line = note.line || 1;
+      const current = nextMap.get(line) || [];
+      current.push(note);
+      nextMap.set(line, current);
+    }
+
+    return nextMap;
+  }, [notes]);
+
+  useLayoutEffect(() => {
+    if (!containerRef.current || !selectedLine) {
+      return;
+    }
+
+    const targetLine = lineRefs.current.get(selectedLine);
+    if (!targetLine) {
+      return;
+    }
+
+    const container = containerRef.current;
+    const nextTop =
+      targetLine.offsetTop - container.clientHeight / 2 + targetLine.clientHeight / 2;
+
+    container.scrollTo({
+      top: Math.max(nextTop, 0),
+      behavior: "smooth",
+    });
+  }, [selectedLine, content]);
+
+  return (
+    <div ref={containerRef} className="source-viewer" aria-live="polite">
+      {lines.map((line, index) => {
+        const lineNumber = index + 1;
+        const lineFunctions = functionsByLine.get(index + 1) || [];
+        const isSelected =
+          (highlightedRange &&
+            lineNumber >= highlightedRange.start &&
+            lineNumber <= highlightedRange.end) ||
+          lineFunctions.some((fn) => fn.function_id === selectedFunctionId);
+        const lineNotes = notesByLine.get(lineNumber) || [];
+
+        return (
+          <React.Fragment key={lineNumber}>
+            <div
+              ref={(element) => {
+                if (element) {
+                  lineRefs.current.set(lineNumber, element);
+                } else {
+                  lineRefs.current.delete(lineNumber);
+                }
+              }}
+              className={`source-line ${isSelected ? "source-line--selected" : ""}`}
+              data-line={lineNumber}
+            >
+              <span
+                className="line-number"
+                onClick={(event) => onLineSelect(lineNumber, event.shiftKey)}
+                onDoubleClick={() => setDraftLine(lineNumber)}
+                title="Click to highlight, shift-click to extend, double-click to add a note"
+              >
+                {lineNumber}
+              </span>
+              <code className="line-code">
+                <FunctionLine
+                  line={line}
+                  functionsOnLine={lineFunctions}
+                  sitesOnLine={sitesByLine.get(lineNumber)}
+                  selectedFunctionId={selectedFunctionId}
+                  onFunctionClick={onFunctionClick}
+                  onDefinitionOpen={onDefinitionOpen}
+                  onFindUsages={onFindUsages}
+                />
+              </code>
+            </div>
+            {lineNotes.map((note) => (
+              <SourceNote
+                key={note.id}
+                note={note}
+                onSave={(text) => onNoteUpdate(note.id, text)}
+                onDelete={onNoteDelete}
+              />
+            ))}
+            {draftLine === lineNumber ? (
+              <SourceNote
+                note={null}
+                onSave={async (text) => {
+                  await onNoteCreate(lineNumber, text);
+                  setDraftLine(null);
+                }}
+                onCancel={() => setDraftLine(null)}
+              />
+            ) : null}
+          </React.Fragment>
+        );
+      })}
+    </div>
+  );
+}
+
+function UsagesPanel({ usages, onClose, onReferenceOpen }) {
+  if (!usages) {
+    return null;
+  }
+
+  return (
+    <div className="usages-panel">
+      <div className="usages-panel__header">
+        <span className="usages-panel__title">
+          Usages of {usages.label}
+          {usages.payload ? ` (${usages.payload.total})` : ""}
+        </span>
+        <button type="button" className="ghost-button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      {usages.error ? <div className="usages-panel__empty">{usages.error}</div> : null}
+      {!usages.error && !usages.payload ? (
+        <div className="usages-panel__empty">Searching usages...</div>
+      ) : null}
+      {usages.payload && usages.payload.total === 0 ? (
+        <div className="usages-panel__empty">No usages found.</div>
+      ) : null}
+      {usages.payload ? (
+        <div className="usages-panel__list">
+          {usages.payload.files.map((group) => (
+            <div key={group.file || "unknown"} className="usages-panel__file">
+              <div className="usages-panel__file-name">
+                {group.file || "unknown file"} ({group.count})
+              </div>
+              {group.references.map((reference) => (
+                <button
+                  key={reference.id}
+                  type="button"
+                  className="usages-panel__reference"
+                  disabled={!group.file}
+                  onClick={() => onReferenceOpen(group.file, reference.line)}
+                >
+                  <span className="usages-panel__line">{reference.line || "-"}</span>
+                  <span>{reference.functionName || reference.name}</span>
+                </button>
+              ))}
+            </div>
+          ))}
+          {usages.payload.truncated ? (
+            <div className="usages-panel__empty">
+              Showing the first {usages.payload.count} usages.
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function compareDeadCodeRows(left, right, key) {
+  const leftValue = left[key];
+  const rightValue = right[key];
+  if (typeof leftValue === "number" || typeof rightValue === "number") {
+    return (leftValue || 0) - (rightValue || 0);
+  }
+  if (typeof leftValue === "boolean") {
+    return Number(leftValue) - Number(rightValue);
+  }
+  return String(leftValue || "").localeCompare(String(rightValue || ""));
+}
+
+function DeadCodePanel({ onReferenceOpen, onClose }) {
+  const api = useApi();
+  const [rootKinds, setRootKinds] = useState(["main", "init", "tests"]);
+  const [packages, setPackages] = useState("");
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [sort, setSort] = useState({ key: "package", direction: 1 });
+
+  const query = useMemo(() => {
+    const params = [`roots=${encodeURIComponent(rootKinds.join(","))}`];
+    if (rootKinds.includes("exported") && packages.trim()) {
+      params.push(`packages=${encodeURIComponent(packages.trim())}`);
+    }
+    return params.join("&");
+  }, [rootKinds, packages]);
+
+  const rows = useMemo(() => {
+    if (!report) {
+      return [];
+    }
+
+    const flattened = report.packages.flatMap((group) =>
+      group.files.flatMap((fileGroup) => fileGroup.functions),
+    );
+    return flattened.sort(
+      (left, right) =>
+        compareDeadCodeRows(left, right, sort.key) * sort.direction ||
+        compareDeadCodeRows(left, right, "file") ||
+        compareDeadCodeRows(left, right, "line"),
+    );
+  }, [report, sort]);
+
+  async function runReport() {
+    setIsLoading(true);
+    setError("");
+
+    try {
+      setReport(await api.requestJson(`/call-graph/dead-code?${query}`));
+    } catch (requestError) {
+      setReport(null);
+      setError(String(requestError.message || requestError));
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    runReport();
+  }, []);
+
+  function toggleRootKind(kind) {
+    setRootKinds((current) =>
+      current.includes(kind) ? current.filter((value) => value !== kind) : [...current, kind],
+    );
+  }
+
+  function toggleSort(key) {
+    setSort((current) => ({
+      key,
+      direction: current.key === key ? -current.direction : 1,
+    }));
+  }
+
+  return (
+    <section className="panel source-panel source-panel--browse dead-code-panel">
+      <div className="dead-code-panel__header">
+        <p className="section-label">Dead code</p>
+        <button type="button" className="ghost-button" onClick={onClose}>
+          Back
+        </button>
+      </div>
+      <div className="dead-code-panel__controls">
+        <span className="dead-code-panel__label">Roots</span>
+        {DEAD_CODE_ROOT_KINDS.map((kind) => (
+          <label key={kind.value} className="dead-code-panel__option">
+            <input
+              type="checkbox"
+              checked={rootKinds.includes(kind.value)}
+              onChange={() => toggleRootKind(kind.value)}
+            />
+            {kind.label}
+          </label>
+        ))}
+        {rootKinds.includes("exported") ? (
+          <input
+            className="dead-code-panel__packages"
+            value={packages}
+            onChange={(event) => setPackages(event.target.value)}
+            placeholder="Packages, e.g. web,storage (all if empty)"
+          />
+        ) : null}
+        <button
+          type="button"
+          className="ghost-button"
+          onClick={runReport}
+          disabled={isLoading || rootKinds.length === 0}
+        >
+          Run
+        </button>
+        <button
+          type="button"
+          className="ghost-button"
+          onClick={() => api.downloadFromApi(`/call-graph/dead-code?${query}&format=csv`)}
+        >
+          CSV
+        </button>
+        <button
+          type="button"
+          className="ghost-button"
+          onClick={() => api.downloadFromApi(`/call-graph/dead-code?${query}&download=true`)}
+        >
+          JSON
+        </button>
+      </div>
+      {report ? (
+        <div className="file-strip">
+          <span className="meta-pill">{report.unreachableCount} unreachable</span>
+          <span className="meta-pill meta-pill--muted">
+            {report.reachableCount} of {report.functionCount} reachable
+          </span>
+          <span className="meta-pill meta-pill--muted">{report.rootCount} roots</span>
+          <span className="meta-pill meta-pill--muted">{report.packageCount} packages</span>
+        </div>
+      ) : null}
+      {error ? <div className="empty-state">{error}</div> : null}
+      {!error && isLoading ? <div className="empty-state">Computing reachability...</div> : null}
+      {!error && !isLoading && report ? (
+        <div className="dead-code-panel__table-wrap">
+          <table className="dead-code-table">
+            <thead>
+              <tr>
+                {DEAD_CODE_COLUMNS.map((column) => (
+                  <th key={column.key}>
+                    <button
+                      type="button"
+                      className="dead-code-table__sort"
+                      onClick={() => toggleSort(column.key)}
+                    >
+                      {column.label}
+                      {sort.key === column.key ? (sort.direction > 0 ? " ▲" : " ▼") : ""}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.id} onClick={() => onReferenceOpen(row.file, row.line)}>
+                  <td>{row.package || "-"}</td>
+                  <td>{row.file}</td>
+                  <td className="dead-code-table__name">{row.name}</td>
+                  <td>
+                    {row.line || "-"}
+                    {row.endLine ? `-${row.endLine}` : ""}
+                  </td>
+                  <td>{row.lineCount ?? "-"}</td>
+                  <td>{row.hasCallers ? "yes" : "no"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : null}
+    </section>
+  );
+}
+
+function buildImpactRequest(input) {
+  const text = input.trim();
+  if (/^(diff --git|--- |@@ )/m.test(text)) {
+    return { diff: text };
+  }
+
+  return {
+    ranges: text
+      .split(/\s*[\n,]\s*/)
+      .map((value) => value.trim())
+      .filter(Boolean),
+  };
+}
+
+function ImpactPanel({ onFunctionSelect, onReferenceOpen, onClose }) {
+  const api = useApi();
+  const [input, setInput] = useState("");
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  async function analyze() {
+    setIsLoading(true);
+    setError("");
+
+    try {
+      setReport(await api.postJson("/call-graph/impact", buildImpactRequest(input)));
+    } catch (requestError) {
+      setReport(null);
+      setError(String(requestError.message || requestError));
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  function selectFunction(fn) {
+    onFunctionSelect({
+      function_id: fn.id,
+      name: fn.name,
+      file: fn.file,
+      line: fn.line,
+      package: fn.package,
+    });
+  }
+
+  return (
+    <section className="panel source-panel source-panel--browse impact-panel">
+      <div className="dead-code-panel__header">
+        <p className="section-label">Impact analysis</p>
+        <button type="button" className="ghost-button" onClick={onClose}>
+          Back
+        </button>
+      </div>
+      <textarea
+        className="impact-panel__input"
+        value={input}
+        onChange={(event) => setInput(event.target.value)}
+        placeholder={"Paste a unified diff, or ranges such as\nweb/api.go:120-140\nstorage/wal.go:88"}
+        spellCheck={false}
+      />
+      <div className="dead-code-panel__controls">
+        <button
+          type="button"
+          className="ghost-button"
+          onClick={analyze}
+          disabled={isLoading || !input.trim()}
+        >
+          Analyze
+        </button>
+        {report ? (
+          <div className="file-strip">
+            <span className="meta-pill">{report.changedCount} changed</span>
+            <span className="meta-pill meta-pill--danger">{report.affectedCount} affected</span>
+            <span className="meta-pill meta-pill--muted">{report.packageCount} packages</span>
+            {report.unresolvedFiles.length > 0 ? (
+              <span className="meta-pill meta-pill--muted">
+                {report.unresolvedFiles.length} files not in the CPG
+              </span>
+            ) : null}
+          </div>
+        ) : null}
+      </div>
+      {error ? <div className="empty-state">{error}</div> : null}
+      {!error && isLoading ? <div className="empty-state">Computing blast radius...</div> : null}
+      {!error && !isLoading && report ? (
+        <div className="impact-panel__results">
+          <div className="usages-panel__file-name">Changed functions</div>
+          {report.changedFunctions.map((fn) => (
+            <button
+              key={fn.id}
+              type="button"
+              className="usages-panel__reference"
+              onClick={() => onReferenceOpen(fn.file, fn.line)}
+            >
+              <span className="usages-panel__line">{fn.line || "-"}</span>
+              <span>
+                {fn.package ? `${fn.package}.` : ""}
+                {fn.name}
+              </span>
+            </button>
+          ))}
+          {report.packages.map((group) => (
+            <div key={group.package || "unknown"} className="usages-panel__file">
+              <div className="usages-panel__file-name">
+                {group.package || "unknown package"} ({group.count})
+              </div>
+              {group.functions.map((fn) => (
+                <button
+                  key={fn.id}
+                  type="button"
+                  className="usages-panel__reference"
+                  onClick={() => selectFunction(fn)}
+                >
+                  <span className="usages-panel__line">+{fn.distance}</span>
+                  <span>{fn.name}</span>
+                </button>
+              ))}
+            </div>
+          ))}
+          {report.truncated ? (
+            <div className="usages-panel__empty">
+              Showing the closest {report.limit} affected functions.
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+    </section>
+  );
+}
+
+function parseQueryParams(text) {
+  if (!text.trim()) {
+    return undefined;
+  }
+  const params = JSON.parse(text);
+  if (!params || typeof params !== "object") {
+    throw new Error("Params must be a JSON object or array");
+  }
+  return params;
+}
+
+function QueryConsolePanel({ onFunctionSelect, onClose }) {
+  const api = useApi();
+  const [storedQueries, setStoredQueries] = useState([]);
+  const [queryName, setQueryName] = useState("");
+  const [sql, setSql] = useState("SELECT kind, COUNT(*) AS count\nFROM nodes\nGROUP BY kind");
+  const [paramsText, setParamsText] = useState("");
+  const [maxRows, setMaxRows] = useState(QUERY_ROW_LIMITS[1]);
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    api
+      .requestJson("/queries?includeSql=true")
+      .then((payload) => setStoredQueries(Array.isArray(payload.queries) ? payload.queries : []))
+      .catch(() => setStoredQueries([]));
+  }, [api]);
+
+  const storedQuery = storedQueries.find((query) => query.name === queryName) || null;
+
+  async function runQuery() {
+    setIsLoading(true);
+    setError("");
+
+    try {
+      const params = parseQueryParams(paramsText);
+      setResult(
+        await api.postJson(
+          "/queries/run",
+          storedQuery ? { name: storedQuery.name, params, maxRows } : { sql, params, maxRows },
+        ),
+      );
+    } catch (requestError) {
+      setResult(null);
+      setError(String(requestError.message || requestError));
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  function renderCell(value, column) {
+    if (value === null) {
+      return <span className="query-console__null">NULL</span>;
+    }
+    if (typeof value === "string" && result.functionColumns.includes(column.name)) {
+      return (
+        <button
+          type="button"
+          className="dead-code-table__sort"
+          onClick={() => onFunctionSelect({ function_id: value, name: value })}
+          title="Open in graph"
+        >
+          {value}
+        </button>
+      );
+    }
+    return String(value);
+  }
+
+  return (
+    <section className="panel source-panel source-panel--browse impact-panel">
+      <div className="dead-code-panel__header">
+        <p className="section-label">Query console</p>
+        <button type="button" className="ghost-button" onClick={onClose}>
+          Back
+        </button>
+      </div>
+      <div className="dead-code-panel__controls">
+        <select
+          className="export-control__select"
+          value={queryName}
+          onChange={(event) => setQueryName(event.target.value)}
+          aria-label="Stored query"
+        >
+          <option value="">Custom SQL</option>
+          {storedQueries.map((query) => (
+            <option key={query.name} value={query.name}>
+              {query.name}
+            </option>
+          ))}
+        </select>
+        <select
+          className="export-control__select"
+          value={maxRows}
+          onChange={(event) => setMaxRows(Number(event.target.value))}
+          aria-label="Row limit"
+        >
+          {QUERY_ROW_LIMITS.map((limit) => (
+            <option key={limit} value={limit}>
+              {limit} rows
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="ghost-button"
+          onClick={runQuery}
+          disabled={isLoading || (!storedQuery && !sql.trim())}
+        >
+          Run
+        </button>
+      </div>
+      {storedQuery?.description ? (
+        <div className="usages-panel__empty">{storedQuery.description}</div>
+      ) : null}
+      <textarea
+        className="impact-panel__input"
+        value={storedQuery ? storedQuery.sql : sql}
+        onChange={(event) => setSql(event.target.value)}
+        readOnly={Boolean(storedQuery)}
+        placeholder="SELECT ..."
+        spellCheck={false}
+      />
+      <textarea
+        className="impact-panel__input query-console__params"
+        value={paramsText}
+        onChange={(event) => setParamsText(event.target.value)}
+        placeholder={'Params as JSON, e.g. {"pattern": "%Handler%"} or ["function"]'}
+        spellCheck={false}
+      />
+      {result ? (
+        <div className="file-strip">
+          <span className="meta-pill">{result.count} rows</span>
+          <span className="meta-pill meta-pill--muted">{result.elapsedMs} ms</span>
+          {result.truncated ? (
+            <span className="meta-pill meta-pill--danger">Truncated at {result.maxRows} rows</span>
+          ) : null}
+          {result.truncatedCells > 0 ? (
+            <span className="meta-pill meta-pill--muted">
+              {result.truncatedCells} long values cut
+            </span>
+          ) : null}
+        </div>
+      ) : null}
+      {error ? <div className="empty-state">{error}</div> : null}
+      {!error && isLoading ? <div className="empty-state">Running query...</div> : null}
+      {!error && !isLoading && result ? (
+        <div className="dead-code-panel__table-wrap">
+          <table className="dead-code-table">
+            <thead>
+              <tr>
+                {result.columns.map((column, index) => (
+                  <th key={`${column.name}:${index}`}>{column.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {result.rows.map((row, rowIndex) => (
+                <tr key={rowIndex}>
+                  {row.map((value, index) => (
+                    <td key={index}>{renderCell(value, result.columns[index])}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : null}
+    </section>
+  );
+}
+
+function BookmarksPanel({ onFunctionSelect, onReferenceOpen, onViewOpen, onClose }) {
+  const api = useApi();
+  const [bookmarks, setBookmarks] = useState([]);
+  const [views, setViews] = useState([]);
+  const [persistent, setPersistent] = useState(true);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setIsLoading(true);
+    setError("");
+    Promise.all([api.requestJson("/annotations/bookmarks"), api.requestJson("/annotations/views")])
+      .then(([bookmarkPayload, viewPayload]) => {
+        setBookmarks(bookmarkPayload.bookmarks);
+        setViews(viewPayload.views);
+        setPersistent(bookmarkPayload.persistent);
+      })
+      .catch((requestError) => setError(String(requestError.message || requestError)))
+      .finally(() => setIsLoading(false));
+  }, [api]);
+
+  async function removeBookmark(id) {
+    try {
+      await api.sendJson("DELETE", `/annotations/bookmarks/${id}`);
+      setBookmarks((current) => current.filter((bookmark) => bookmark.id !== id));
+    } catch (requestError) {
+      setError(String(requestError.message || requestError));
+    }
+  }
+
+  async function removeView(id) {
+    try {
+      await api.sendJson("DELETE", `/annotations/views/${id}`);
+      setViews((current) => current.filter((view) => view.id !== id));
+    } catch (requestError) {
+      setError(String(requestError.message || requestError));
+    }
+  }
+
+  function openBookmark(bookmark) {
+    if (bookmark.functionId) {
+      onFunctionSelect({
+        function_id: bookmark.functionId,
+        name: bookmark.label || bookmark.functionId,
+        file: bookmark.file,
+        line: bookmark.line,
+      });
+      return;
+    }
+    onReferenceOpen(bookmark.file, bookmark.line);
+  }
+
+  return (
+    <section className="panel source-panel source-panel--browse impact-panel">
+      <div className="dead-code-panel__header">
+        <p className="section-label">Bookmarks</p>
+        <button type="button" className="ghost-button" onClick={onClose}>
+          Back
+        </button>
+      </div>
+      {!persistent ? (
+        <div className="file-strip">
+          <span className="meta-pill meta-pill--danger">
+            Annotation store is not writable, changes are lost on restart
+          </span>
+        </div>
+      ) : null}
+      {error ? <div className="empty-state">{error}</div> : null}
+      {!error && isLoading ? <div className="empty-state">Loading bookmarks...</div> : null}
+      {!error && !isLoading ? (
+        <div className="impact-panel__results">
+          <div className="usages-panel__file-name">Saved views ({views.length})</div>
+          {views.map((view) => (
+            <div key={view.id} className="bookmark-row">
+              <button
+                type="button"
+                className="usages-panel__reference"
+                onClick={() => onViewOpen(view)}
+              >
+                <span className="usages-panel__line">{view.graphView}</span>
+                <span>{view.name}</span>
+              </button>
+              <button type="button" className="ghost-button" onClick={() => removeView(view.id)}>
+                Delete
+              </button>
+            </div>
+          ))}
+          <div className="usages-panel__file-name">Bookmarks ({bookmarks.length})</div>
+          {bookmarks.map((bookmark) => (
+            <div key={bookmark.id} className="bookmark-row">
+              <button
+                type="button"
+                className="usages-panel__reference"
+                onClick={() => openBookmark(bookmark)}
+              >
+                <span className="usages-panel__line">{bookmark.line || "-"}</span>
+                <span>
+                  {bookmark.label || bookmark.functionId || bookmark.file}
+                  {bookmark.file ? ` · ${bookmark.file}` : ""}
+                </span>
+              </button>
+              <button
+                type="button"
+                className="ghost-button"
+                onClick={() => removeBookmark(bookmark.id)}
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+          {bookmarks.length === 0 && views.length === 0 ? (
+            <div className="usages-panel__empty">
+              Bookmark a function or save a view from the graph panel.
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+    </section>
+  );
+}
+
+function formatInspectorValue(value) {
+  if (value === null || value === undefined) {
+    return "null";
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function InspectorPanel({ initialNodeId, onReferenceOpen, onClose }) {
+  const api = useApi();
+  const [nodeInput, setNodeInput] = useState(initialNodeId || "");
+  const [trail, setTrail] = useState(initialNodeId ? [initialNodeId] : []);
+  const [kinds, setKinds] = useState(null);
+  const [direction, setDirection] = useState("out");
+  const [edgeKind, setEdgeKind] = useState("");
+  const [detail, setDetail] = useState(null);
+  const [edges, setEdges] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+  const nodeId = trail[trail.length - 1] || null;
+
+  useEffect(() => {
+    api
+      .requestJson("/cpg/kinds")
+      .then(setKinds)
+      .catch(() => setKinds(null));
+  }, [api]);
+
+  const loadEdges = useCallback(
+    (offset) => {
+      const kindQuery = edgeKind ? `&kind=${encodeURIComponent(edgeKind)}` : "";
+      return api.requestJson(
+        `/cpg/nodes/${encodeURIComponent(nodeId)}/edges?direction=${direction}${kindQuery}&limit=${INSPECTOR_EDGE_PAGE_SIZE}&offset=${offset}`,
+      );
+    },
+    [api, direction, edgeKind, nodeId],
+  );
+
+  useEffect(() => {
+    if (!nodeId) {
+      return;
+    }
+
+    setIsLoading(true);
+    setError("");
+    Promise.all([api.requestJson(`/cpg/nodes/${encodeURIComponent(nodeId)}`), loadEdges(0)])
+      .then(([nodePayload, edgePayload]) => {
+        setDetail(nodePayload);
+        setEdges(edgePayload);
+      })
+      .catch((requestError) => {
+        setDetail(null);
+        setEdges(null);
+        setError(String(requestError.message || requestError));
+      })
+      .finally(() => setIsLoading(false));
+  }, [loadEdges, nodeId]);
+
+  async function loadMoreEdges() {
+    try {
+      const payload = await loadEdges(edges.edges.length);
+      setEdges((current) => ({ ...payload, edges: [...current.edges, ...payload.edges] }));
+    } catch (requestError) {
+      setError(String(requestError.message || requestError));
+    }
+  }
+
+  function openNode(id) {
+    setNodeInput(id);
+    setTrail((current) => [...current, id]);
+  }
+
+  function goBack() {
+    setTrail((current) => current.slice(0, -1));
+    setNodeInput(trail[trail.length - 2] || "");
+  }
+
+  return (
+    <section className="panel source-panel source-panel--browse impact-panel">
+      <div className="dead-code-panel__header">
+        <p className="section-label">CPG inspector</p>
+        <button type="button" className="ghost-button" onClick={onClose}>
+          Back
+        </button>
+      </div>
+      <form
+        className="dead-code-panel__controls"
+        onSubmit={(event) => {
+          event.preventDefault();
+          if (nodeInput.trim()) {
+            openNode(nodeInput.trim());
+          }
+        }}
+      >
+        <input
+          className="dead-code-panel__packages"
+          value={nodeInput}
+          onChange={(event) => setNodeInput(event.target.value)}
+          placeholder="Node ID"
+          aria-label="Node ID"
+        />
+        <button type="submit" className="ghost-button" disabled={!nodeInput.trim()}>
+          Open
+        </button>
+        <button
+          type="button"
+          className="ghost-button"
+          onClick={goBack}
+          disabled={trail.length < 2}
+        >
+          Previous node
+        </button>
+        <select
+          className="export-control__select"
+          value={direction}
+          onChange={(event) => setDirection(event.target.value)}
+          aria-label="Edge direction"
+        >
+          <option value="out">Outgoing</option>
+          <option value="in">Incoming</option>
+        </select>
+        <select
+          className="export-control__select"
+          value={edgeKind}
+          onChange={(event) => setEdgeKind(event.target.value)}
+          aria-label="Edge kind"
+        >
+          <option value="">All edge kinds</option>
+          {(kinds ? kinds.edgeKinds : []).map((entry) => (
+            <option key={entry.kind} value={entry.kind}>
+              {entry.kind} ({entry.count})
+            </option>
+          ))}
+        </select>
+      </form>
+      {!nodeId && kinds ? (
+        <div className="file-strip">
+          {kinds.nodeKinds.map((entry) => (
+            <span key={entry.kind} className="meta-pill meta-pill--muted">
+              {entry.kind} {entry.count}
+            </span>
+          ))}
+        </div>
+      ) : null}
+      {error ? <div className="empty-state">{error}</div> : null}
+      {!error && isLoading ? <div className="empty-state">Loading node...</div> : null}
+      {!error && !isLoading && detail ? (
+        <div className="impact-panel__results">
+          <table className="dead-code-table">
+            <tbody>
+              {Object.entries(detail.node).map(([key, value]) => (
+                <tr key={key}>
+                  <th>{key}</th>
+                  <td className="dead-code-table__name">
+                    {key === "file" && value ? (
+                      <button
+                        type="button"
+                        className="dead-code-table__sort"
+                        onClick={() => onReferenceOpen(value, detail.node.line)}
+                      >
+                        {value}
+                      </button>
+                    ) : key === "parent_function" && value ? (
+                      <button
+                        type="button"
+                        className="dead-code-table__sort"
+                        onClick={() => openNode(value)}
+                      >
+                        {value}
+                      </button>
+                    ) : (
+                      formatInspectorValue(value)
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="file-strip">
+            {detail.edgeCounts.in.map((entry) => (
+              <span key={`in:${entry.kind}`} className="meta-pill meta-pill--muted">
+                in {entry.kind} {entry.count}
+              </span>
+            ))}
+            {detail.edgeCounts.out.map((entry) => (
+              <span key={`out:${entry.kind}`} className="meta-pill meta-pill--muted">
+                out {entry.kind} {entry.count}
+              </span>
+            ))}
+          </div>
+          {edges ? (
+            <>
+              <div className="usages-panel__file-name">
+                {direction === "out" ? "Outgoing" : "Incoming"} edges ({edges.total})
+              </div>
+              {edges.edges.map((edge, index) => {
+                const otherId = direction === "out" ? edge.target : edge.source;
+                return (
+                  <button
+                    key={`${edge.kind}:${otherId}:${index}`}
+                    type="button"
+                    className="usages-panel__reference"
+                    onClick={() => openNode(otherId)}
+                    disabled={!edge.node}
+                  >
+                    <span className="usages-panel__line">{edge.kind}</span>
+                    <span>
+                      {edge.node ? `${edge.node.kind} ${edge.node.name || ""}` : otherId}
+                      {edge.node && edge.node.file
+                        ? ` · ${edge.node.file}${edge.node.line ? `:${edge.node.line}` : ""}`
+                        : ""}
+                    </span>
+                  </button>
+                );
+              })}
+              {edges.edges.length < edges.total ? (
+                <button type="button" className="ghost-button" onClick={loadMoreEdges}>
+                  Load more
+                </button>
+              ) : null}
+            </>
+          ) : null}
+        </div>
+      ) : null}
+    </section>
+  );
+}
+
+function SymbolPicker({ onSelect }) {
+  const api = useApi();
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (!trimmed) {
+      setResults([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = window.setTimeout(() => {
+      api
+        .requestJson(
+          `/call-graph/search?q=${encodeURIComponent(trimmed)}&limit=${SYMBOL_SEARCH_LIMIT}`,
+        )
+        .then((payload) => {
+          if (!cancelled) {
+            setResults(Array.isArray(payload.symbols) ? payload.symbols : []);
+            setActiveIndex(0);
+          }
+        })
+        .catch(() => {
+          if (!cancelled) {
+            setResults([]);
+          }
+        });
+    }, SYMBOL_SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      window.clearTimeout(timer);
+    };
+  }, [api, query]);
+
+  function selectSymbol(symbol) {
+    if (!symbol) {
+      return;
+    }
+    setIsOpen(false);
+    setQuery("");
+    onSelect(symbol);
+  }
+
+  function handleKeyDown(event) {
+    if (event.key === "ArrowDown") {
+      event.preventDefault();
+      setActiveIndex((index) => Math.min(index + 1, results.length - 1));
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault();
+      setActiveIndex((index) => Math.max(index - 1, 0));
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      selectSymbol(results[activeIndex]);
+    } else if (event.key === "Escape") {
+      setIsOpen(false);
+    }
+  }
+
+  return (
+    <div className="symbol-picker">
+      <input
+        type="search"
+        className="symbol-picker__input"
+        placeholder="Go to symbol..."
+        value={query}
+        onChange={(event) => {
+          setQuery(event.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+        aria-label="Search symbols"
+      />
+      {isOpen && results.length > 0 ? (
+        <div className="symbol-picker__results" role="listbox">
+          {results.map((symbol, index) => (
+            <button
+              key={symbol.id}
+              type="button"
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`symbol-picker__result ${
+                index === activeIndex ? "symbol-picker__result--active" : ""
+              }`}
+              onMouseDown={(event) => {
+                event.preventDefault();
+                selectSymbol(symbol);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+            >
+              <span className="symbol-picker__kind">{symbol.kind}</span>
+              <span className="symbol-picker__name">{symbol.name}</span>
+              <span className="symbol-picker__meta">
+                {symbol.package || ""}
+                {symbol.file ? ` · ${symbol.file}${symbol.line ? `:${symbol.line}` : ""}` : ""}
+              </span>
+            </button>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function FileBrowser({
+  currentPath,
+  entries,
+  isLoading,
+  selectedFile,
+  onDirectoryOpen,
+  onFileOpen,
+  onSymbolSelect,
+  projects,
+  projectId,
+  onProjectChange,
+  onDeadCodeOpen,
+  onPackagesOpen,
+  onImpactOpen,
+  onBookmarksOpen,
+  onInspectorOpen,
+  onQueriesOpen,
+}) {
+  const segments = currentPath ? currentPath.split("/").filter(Boolean) : [];
+
+  return (
+    <section className="panel browser-panel">
+      <div className="browser-topbar">
+        {projects.length > 1 ? (
+          <select
+            className="project-switcher"
+            value={projectId || ""}
+            onChange={(event) => onProjectChange(event.target.value)}
+            disabled={isLoading}
+            aria-label="Project"
+          >
+            {projects.map((project) => (
+              <option key={project.id} value={project.id}>
+                {project.name}
+              </option>
+            ))}
+          </select>
+        ) : null}
+        <div className="breadcrumbs">
+          <button type="button" className="breadcrumb" onClick={() => onDirectoryOpen("")}>
+            root
+          </button>
+          {segments.map((segment, index) => {
+            const path = segments.slice(0, index + 1).join("/");
+            return (
+              <React.Fragment key={path}>
+                <span className="breadcrumb-separator">/</span>
+                <button type="button" className="breadcrumb" onClick={() => onDirectoryOpen(path)}>
+                  {segment}
+                </button>
+              </React.Fragment>
+            );
+          })}
+        </div>
+        <SymbolPicker onSelect={onSymbolSelect} />
+        <button type="button" className="ghost-button" onClick={onPackagesOpen}>
+          Packages
+        </button>
+        <button type="button" className="ghost-button" onClick={onDeadCodeOpen}>
+          Dead code
+        </button>
+        <button type="button" className="ghost-button" onClick={onImpactOpen}>
+          Impact
+        </button>
+        <button type="button" className="ghost-button" onClick={onBookmarksOpen}>
+          Bookmarks
+        </button>
+        <button type="button" className="ghost-button" onClick={onInspectorOpen}>
+          Inspector
+        </button>
+        <button type="button" className="ghost-button" onClick={onQueriesOpen}>
+          Queries
+        </button>
+        <button
+          type="button"
+          className="ghost-button"
+          onClick={() => onDirectoryOpen(getParentPath(currentPath))}
+          disabled={!currentPath || isLoading}
+        >
+          Up
+        </button>
+      </div>
+
+      <div className="browser-grid">
+        {entries.map((entry) => {
+          const isSelected = entry.type === "file" && entry.path === selectedFile;
+          return (
+            <button
+              key={`${entry.type}:${entry.path}`}
+              type="button"
+              className={`browser-entry ${isSelected ? "browser-entry--selected" : ""}`}
+              onClick={() => {
+                if (entry.type === "directory") {
+                  onDirectoryOpen(entry.path);
+                } else {
+                  onFileOpen(entry.path, { mode: "browse" });
+                }
+              }}
+              disabled={isLoading}
+            >
+              <span className="browser-entry__icon">
+                {entry.type === "directory" ? "dir" : "go"}
+              </span>
+              <span className="browser-entry__name">{entry.name}</span>
+            </button>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
+
+function GraphPanel({
+  elements,
+  recursion,
+  metrics,
+  complexity,
+  graphView,
+  graphDepth,
+  selectedFunction,
+  onNodeSelect,
+  onGraphViewChange,
+  onGraphDepthChange,
+  onCfgOpen,
+  onExport,
+  compareOptions,
+  compareProjectId,
+  onCompareChange,
+  followDynamic,
+  onFollowDynamicChange,
+  includeExternal,
+  onIncludeExternalChange,
+  pinnedPositions,
+  onBookmark,
+  onSaveView,
+  onBack,
+  isLoading,
+  error,
+}) {
+  const containerRef = useRef(null);
+  const positionsRef = useRef(new Map());
+  const [hoveredNode, setHoveredNode] = useState(null);
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS[0].value);
+  const [viewName, setViewName] = useState("");
+  const [actionStatus, setActionStatus] = useState("");
+
+  useEffect(() => {
+    if (!containerRef.current || !selectedFunction) {
+      return undefined;
+    }
+
+    const cy = cytoscape({
+      container: containerRef.current,
+      elements: applyPinnedPositions(elements, pinnedPositions),
+      layout: pinnedPositions
+        ? { name: "preset", fit: true, padding: 40 }
+        : {
+            name: "cose",
+            animate: true,
+            animationDuration: 900,
+            fit: true,
+            padding: 40,
+            nodeRepulsion: 18000,
+            idealEdgeLength: 150,
+            edgeElasticity: 120,
+            gravity: 0.3,
+            numIter: 1500,
+            randomize: false,
+          },
+      wheelSensitivity: 0.2,
+      style: [
+        {
+          selector: "node",
+          style: {
+            label: "data(label)",
+            "background-color": "#5b6c91",
+            color: "#ffffff",
+            "font-size": 9,
+            "text-valign": "center",
+            "text-halign": "center",
+            "text-wrap": "wrap",
+            "text-max-width": 72,
+            width: 44,
+            height: 44,
+            "border-width": 2,
+            "border-color": "#dbe4ff",
+            "text-outline-width": 0,
+            "overlay-opacity": 0,
+            "transition-property":
+              "width height background-color border-color font-size text-max-width",
+            "transition-duration": "220ms",
+          },
+        },
+        {
+          selector: "node.focus",
+          style: {
+            "background-color": "#f97316",
+            color: "#ffffff",
+            "border-color": "#ffedd5",
+            width: 72,
+            height: 72,
+            "font-size": 10,
+            "font-weight": 700,
+            "text-max-width": 88,
+          },
+        },
+        {
+          selector: "node.caller",
+          style: {
+            "background-color": "#d97706",
+            "border-color": "#fed7aa",
+          },
+        },
+        {
+          selector: "node.callee",
+          style: {
+            "background-color": "#2563eb",
+            "border-color": "#bfdbfe",
+          },
+        },
+        {
+          selector: "node.external-module",
+          style: {
+            shape: "round-rectangle",
+            "background-color": "#64748b",
+            "border-color": "#e2e8f0",
+            width: 96,
+            height: 34,
+          },
+        },
+        {
+          selector: "node.external-module.third-party",
+          style: {
+            "background-color": "#7c3aed",
+            "border-color": "#ede9fe",
+          },
+        },
+        {
+          selector: "node.transitive",
+          style: {
+            opacity: 0.88,
+          },
+        },
+        {
+          selector: "node.hovered",
+          style: {
+            width: 112,
+            height: 112,
+            "font-size": 12,
+            "text-max-width": 110,
+            "border-width": 3,
+            "z-index": 999,
+          },
+        },
+        {
+          selector: "edge",
+          style: {
+            width: 1.8,
+            "curve-style": "bezier",
+            "target-arrow-shape": "triangle",
+            "line-color": "rgba(226, 232, 240, 0.35)",
+            "target-arrow-color": "rgba(226, 232, 240, 0.35)",
+            opacity: 0.75,
+            "arrow-scale": 0.8,
+          },
+        },
+        {
+          selector: "edge.caller",
+          style: {
+            "line-color": "rgba(249, 115, 22, 0.6)",
+            "target-arrow-color": "rgba(249, 115, 22, 0.6)",
+          },
+        },
+        {
+          selector: "edge.callee",
+          style: {
+            "line-color": "rgba(59, 130, 246, 0.58)",
+            "target-arrow-color": "rgba(59, 130, 246, 0.58)",
+          },
+        },
+        {
+          selector: "edge.transitive",
+          style: {
+            "line-style": "dashed",
+            width: 1.4,
+            opacity: 0.42,
+          },
+        },
+        {
+          selector: "edge.dynamic",
+          style: {
+            "line-style": "dotted",
+            "line-color": "rgba(147, 51, 234, 0.7)",
+            "target-arrow-color": "rgba(147, 51, 234, 0.7)",
+          },
+        },
+        {
+          selector: "node.added",
+          style: {
+            "border-color": "#22c55e",
+            "border-width": 4,
+          },
+        },
+        {
+          selector: "node.removed",
+          style: {
+            "border-color": "#ef4444",
+            "border-width": 4,
+            "border-style": "dashed",
+            opacity: 0.6,
+          },
+        },
+        {
+          selector: "edge.added",
+          style: {
+            width: 2.6,
+            "line-color": "#22c55e",
+            "target-arrow-color": "#22c55e",
+            opacity: 0.95,
+          },
+        },
+        {
+          selector: "edge.removed",
+          style: {
+            width: 2.6,
+            "line-style": "dashed",
+            "line-color": "#ef4444",
+            "target-arrow-color": "#ef4444",
+            opacity: 0.95,
+          },
+        },
+        {
+          selector: ".dimmed",
+          style: {
+            opacity: 0.18,
+          },
+        },
+      ],
+    });
+
+    const layout = cy.layout({
+      name: "cose",
+      animate: true,
+      animationDuration: 900,
+      fit: true,
+      padding: 40,
+      nodeRepulsion: 18000,
+      idealEdgeLength: 150,
+      edgeElasticity: 120,
+      gravity: 0.3,
+      numIter: 1500,
+      randomize: false,
+    });
+    layout.run();
+
+    const basePositions = new Map();
+    positionsRef.current = basePositions;
+    const startFloating = () => {
+      cy.nodes().unlock();
+      cy.nodes().forEach((node) => {
+        basePositions.set(node.id(), { ...node.position() });
+      });
+    };
+
+    cy.once("layoutstop", startFloating);
+    cy.on("dragfree", "node", (event) => {
+      basePositions.set(event.target.id(), { ...event.target.position() });
+    });
 
-    const targetLine = lineRefs.current.get(selectedLine);
-    if (!targetLine) {
-      return;
-    }
+    const floatTimer = window.setInterval(() => {
+      const now = Date.now();
+      cy.nodes().forEach((node, index) => {
+        if (node.hasClass("focus") || node.hasClass("hovered") || node.grabbed()) {
+          return;
+        }
 
-    const container = containerRef.current;
-    const nextTop =
-      targetLine.offsetTop - container.clientHeight / 2 + targetLine.clientHeight / 2;
+        const base = basePositions.get(node.id());
+        if (!base) {
+          return;
+        }
 
-    container.scrollTo({
-      top: Math.max(nextTop, 0),
-      behavior: "smooth",
+        const xOffset = Math.sin(now / 1200 + index * 0.85) * 10;
+        const yOffset = Math.cos(now / 1500 + index * 0.65) * 8;
+        node.animate(
+          {
+            position: {
+              x: base.x + xOffset,
+              y: base.y + yOffset,
+            },
+          },
+          {
+            duration: 1400,
+            queue: false,
+            easing: "ease-in-out",
+          },
+        );
+      });
+    }, 1500);
+
+    cy.on("tap", "node", (event) => {
+      const data = event.target.data();
+      if (data.selectable === false) {
+        return;
+      }
+      onNodeSelect({
+        function_id: data.functionId || data.id,
+        name: data.label,
+        file: data.file,
+        line: data.line,
+        package: data.package,
+      });
     });
-  }, [selectedLine, content]);
 
-  return (
-    <div ref={containerRef} className="source-viewer" aria-live="polite">
-      {lines.map((line, index) => {
-        const lineNumber = index + 1;
-        const lineFunctions = functionsByLine.get(index + 1) || [];
-        const isSelected = lineFunctions.some((fn) => fn.function_id === selectedFunctionId);
+    cy.on("mouseover", "node", (event) => {
+      const node = event.target;
+      cy.elements().addClass("dimmed");
+      node.removeClass("dimmed").addClass("hovered");
+      node.connectedEdges().removeClass("dimmed");
+      node.neighborhood().removeClass("dimmed");
+      setHoveredNode(node.data());
+    });
 
-        return (
-          <div
-            key={lineNumber}
-            ref={(element) => {
-              if (element) {
-                lineRefs.current.set(lineNumber, element);
-              } else {
-                lineRefs.current.delete(lineNumber);
-              }
-            }}
-            className={`source-line ${isSelected ? "source-line--selected" : ""}`}
-            data-line={lineNumber}
-          >
-            <span className="line-number">{lineNumber}</span>
-            <code className="line-code">
-              <FunctionLine
-                line={line}
-                functionsOnLine={lineFunctions}
-                selectedFunctionId={selectedFunctionId}
-                onFunctionClick={onFunctionClick}
-              />
-            </code>
-          </div>
-        );
-      })}
-    </div>
-  );
-}
+    cy.on("mouseout", "node", (event) => {
+      event.target.removeClass("hovered");
+      cy.elements().removeClass("dimmed");
+      setHoveredNode(null);
+    });
 
-function FileBrowser({
-  currentPath,
-  entries,
-  isLoading,
-  selectedFile,
-  onDirectoryOpen,
-  onFileOpen,
-}) {
-  const segments = currentPath ? currentPath.split("/").filter(Boolean) : [];
+    return () => {
+      window.clearInterval(floatTimer);
+      cy.destroy();
+    };
+  }, [elements, onNodeSelect, pinnedPositions, selectedFunction]);
+
+  async function runAction(action, doneMessage) {
+    setActionStatus("");
+    try {
+      await action();
+      setActionStatus(doneMessage);
+    } catch (actionError) {
+      setActionStatus(String(actionError.message || actionError));
+    }
+  }
+
+  function saveView() {
+    const positions = {};
+    for (const [id, position] of positionsRef.current) {
+      positions[id] = { x: Math.round(position.x), y: Math.round(position.y) };
+    }
+    runAction(() => onSaveView(viewName.trim(), positions), "View saved");
+  }
 
   return (
-    <section className="panel browser-panel">
-      <div className="browser-topbar">
-        <div className="breadcrumbs">
-          <button type="button" className="breadcrumb" onClick={() => onDirectoryOpen("")}>
-            root
+    <section className="panel graph-panel">
+      <div className="graph-topbar">
+        <div className="graph-actions">
+          <button type="button" className="ghost-button" onClick={onBack}>
+            Back
           </button>
-          {segments.map((segment, index) => {
-            const path = segments.slice(0, index + 1).join("/");
-            return (
-              <React.Fragment key={path}>
-                <span className="breadcrumb-separator">/</span>
-                <button type="button" className="breadcrumb" onClick={() => onDirectoryOpen(path)}>
-                  {segment}
-                </button>
-              </React.Fragment>
-            );
-          })}
-        </div>
-        <button
-          type="button"
-          className="ghost-button"
-          onClick={() => onDirectoryOpen(getParentPath(currentPath))}
-          disabled={!currentPath || isLoading}
-        >
-          Up
-        </button>
-      </div>
-
-      <div className="browser-grid">
-        {entries.map((entry) => {
-          const isSelected = entry.type === "file" && entry.path === selectedFile;
-          return (
+          <div className="view-switch">
             <button
-              key={`${entry.type}:${entry.path}`}
               type="button"
-              className={`browser-entry ${isSelected ? "browser-entry--selected" : ""}`}
-              onClick={() => {
-                if (entry.type === "directory") {
-                  onDirectoryOpen(entry.path);
-                } else {
-                  onFileOpen(entry.path, { mode: "browse" });
-                }
-              }}
-              disabled={isLoading}
+              className={`view-switch__button ${
+                graphView === "neighbors" ? "view-switch__button--active" : ""
+              }`}
+              onClick={() => onGraphViewChange("neighbors")}
             >
-              <span className="browser-entry__icon">
-                {entry.type === "directory" ? "dir" : "go"}
-              </span>
-              <span className="browser-entry__name">{entry.name}</span>
+              Neighbors
             </button>
-          );
-        })}
+            <button
+              type="button"
+              className={`view-switch__button ${
+                graphView === "deep" ? "view-switch__button--active" : ""
+              }`}
+              onClick={() => onGraphViewChange("deep")}
+            >
+              Deep
+            </button>
+            <button
+              type="button"
+              className="view-switch__button"
+              onClick={onCfgOpen}
+              disabled={!selectedFunction || Boolean(compareProjectId)}
+            >
+              CFG
+            </button>
+          </div>
+          {graphView === "deep" ? (
+            <select
+              className="export-control__select"
+              value={graphDepth}
+              onChange={(event) => onGraphDepthChange(Number(event.target.value))}
+              aria-label="Graph depth"
+            >
+              {GRAPH_DEPTH_OPTIONS.map((depth) => (
+                <option key={depth} value={depth}>
+                  Depth {depth}
+                </option>
+              ))}
+            </select>
+          ) : null}
+          <div className="export-control">
+            <select
+              className="export-control__select"
+              value={exportFormat}
+              onChange={(event) => setExportFormat(event.target.value)}
+              aria-label="Export format"
+            >
+              {EXPORT_FORMATS.map((format) => (
+                <option key={format.value} value={format.value}>
+                  {format.label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="ghost-button"
+              onClick={() => onExport(exportFormat)}
+              disabled={!selectedFunction || isLoading}
+            >
+              Download
+            </button>
+          </div>
+          <label className="dead-code-panel__option">
+            <input
+              type="checkbox"
+              checked={followDynamic}
+              onChange={(event) => onFollowDynamicChange(event.target.checked)}
+            />
+            Dynamic calls
+          </label>
+          <select
+            className="export-control__select"
+            value={includeExternal}
+            onChange={(event) => onIncludeExternalChange(event.target.value)}
+            aria-label="External functions"
+          >
+            {INCLUDE_EXTERNAL_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="ghost-button"
+            onClick={() => runAction(onBookmark, "Bookmarked")}
+            disabled={!selectedFunction || isLoading}
+          >
+            Bookmark
+          </button>
+          <div className="export-control">
+            <input
+              className="export-control__select"
+              value={viewName}
+              onChange={(event) => setViewName(event.target.value)}
+              placeholder="View name"
+              aria-label="View name"
+            />
+            <button
+              type="button"
+              className="ghost-button"
+              onClick={saveView}
+              disabled={!selectedFunction || isLoading || Boolean(compareProjectId) || !viewName.trim()}
+            >
+              Save view
+            </button>
+          </div>
+          {compareOptions.length > 0 ? (
+            <div className="export-control">
+              <select
+                className="export-control__select"
+                value={compareProjectId || ""}
+                onChange={(event) => onCompareChange(event.target.value || null)}
+                aria-label="Compare with project"
+              >
+                <option value="">No comparison</option>
+                {compareOptions.map((project) => (
+                  <option key={project.id} value={project.id}>
+                    Compare with {project.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ) : null}
+        </div>
+        <div className="graph-meta">
+          <span className="meta-pill">{selectedFunction?.name || "-"}</span>
+          <span className="meta-pill meta-pill--muted">{selectedFunction?.package || "-"}</span>
+          <span className="meta-pill meta-pill--muted">{elements.length} elements</span>
+          {metrics ? (
+            <span className="meta-pill meta-pill--muted">
+              fan-in {metrics.fanIn} · fan-out {metrics.fanOut} · reach {metrics.reachCallees}
+            </span>
+          ) : null}
+          {Number.isInteger(complexity) ? (
+            <span className="meta-pill meta-pill--muted">complexity {complexity}</span>
+          ) : null}
+          {actionStatus ? (
+            <span className="meta-pill meta-pill--muted">{actionStatus}</span>
+          ) : null}
+          {recursion && recursion.recursive ? (
+            <span className="meta-pill meta-pill--danger">
+              {recursion.selfRecursive && recursion.cycleSize === 1
+                ? "Recursive"
+                : `Mutually recursive (${recursion.cycleSize} functions)`}
+            </span>
+          ) : null}
+        </div>
       </div>
+      {hoveredNode ? (
+        <div className="graph-hover-card">
+          <div className="graph-hover-card__title">{hoveredNode.label}</div>
+          <div className="graph-hover-card__meta">{hoveredNode.package || "unknown package"}</div>
+          <div className="graph-hover-card__meta">
+            {hoveredNode.file ? `${hoveredNode.file}${hoveredNode.line ? `:${hoveredNode.line}` : ""}` : hoveredNode.id}
+          </div>
+        </div>
+      ) : null}
+      {error ? <div className="graph-empty">{error}</div> : null}
+      {!error && isLoading ? <div className="graph-empty">Loading graph...</div> : null}
+      {!error && !isLoading ? <div ref={containerRef} className="graph-canvas" /> : null}
     </section>
   );
 }
 
-function GraphPanel({
-  elements,
-  graphView,
-  selectedFunction,
-  onNodeSelect,
-  onGraphViewChange,
-  onBack,
-  isLoading,
-  error,
-}) {
+function CfgPanel({ selectedFunction, onBlockSelect, onCallGraphOpen, onBack }) {
+  const api = useApi();
   const containerRef = useRef(null);
-  const [hoveredNode, setHoveredNode] = useState(null);
+  const [cfg, setCfg] = useState(null);
+  const [selectedBlockId, setSelectedBlockId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const elements = useMemo(() => buildCfgElements(cfg), [cfg]);
+  const functionId = selectedFunction?.function_id || null;
 
   useEffect(() => {
-    if (!containerRef.current || !selectedFunction) {
+    if (!functionId) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    setIsLoading(true);
+    setError("");
+    setSelectedBlockId(null);
+
+    api
+      .requestJson(`/cpg/functions/${encodeURIComponent(functionId)}/cfg`)
+      .then((payload) => {
+        if (!cancelled) {
+          setCfg(payload);
+        }
+      })
+      .catch((requestError) => {
+        if (!cancelled) {
+          setCfg(null);
+          setError(String(requestError.message || requestError));
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [api, functionId]);
+
+  useEffect(() => {
+    if (!containerRef.current || elements.length === 0) {
       return undefined;
     }
 
@@ -668,214 +3064,113 @@ function GraphPanel({
       container: containerRef.current,
       elements,
       layout: {
-        name: "cose",
-        animate: true,
-        animationDuration: 900,
+        name: "breadthfirst",
+        directed: true,
+        roots: cfg.entryBlockIds.map((id) => `#${id}`),
         fit: true,
         padding: 40,
-        nodeRepulsion: 18000,
-        idealEdgeLength: 150,
-        edgeElasticity: 120,
-        gravity: 0.3,
-        numIter: 1500,
-        randomize: false,
+        spacingFactor: 1.1,
       },
       wheelSensitivity: 0.2,
       style: [
         {
-          selector: "node",
+          selector: "node.block",
           style: {
             label: "data(label)",
+            shape: "round-rectangle",
             "background-color": "#5b6c91",
             color: "#ffffff",
             "font-size": 9,
             "text-valign": "center",
-            "text-halign": "center",
-            "text-wrap": "wrap",
-            "text-max-width": 72,
-            width: 44,
-            height: 44,
-            "border-width": 2,
-            "border-color": "#dbe4ff",
-            "text-outline-width": 0,
-            "overlay-opacity": 0,
-            "transition-property":
-              "width height background-color border-color font-size text-max-width",
-            "transition-duration": "220ms",
-          },
-        },
-        {
-          selector: "node.focus",
-          style: {
-            "background-color": "#f97316",
-            color: "#ffffff",
-            "border-color": "#ffedd5",
-            width: 72,
-            height: 72,
-            "font-size": 10,
-            "font-weight": 700,
-            "text-max-width": 88,
+            "text-halign": "center",
+            "text-wrap": "wrap",
+            width: 90,
+            height: 38,
+            "border-width": 2,
+            "border-color": "#dbe4ff",
           },
         },
         {
-          selector: "node.caller",
+          selector: "node.entry",
           style: {
-            "background-color": "#d97706",
-            "border-color": "#fed7aa",
+            "background-color": "#0f766e",
+            "border-color": "#ccfbf1",
           },
         },
         {
-          selector: "node.callee",
+          selector: "node.exit",
           style: {
-            "background-color": "#2563eb",
-            "border-color": "#bfdbfe",
+            "background-color": "#b91c1c",
+            "border-color": "#fecaca",
           },
         },
         {
-          selector: "node.transitive",
+          selector: "node.loop",
           style: {
-            opacity: 0.88,
+            "border-color": "#f59e0b",
+            "border-width": 4,
           },
         },
         {
-          selector: "node.hovered",
+          selector: "node.selected",
           style: {
-            width: 112,
-            height: 112,
-            "font-size": 12,
-            "text-max-width": 110,
-            "border-width": 3,
-            "z-index": 999,
+            "background-color": "#f97316",
+            "border-color": "#ffedd5",
           },
         },
         {
           selector: "edge",
           style: {
+            label: "data(label)",
+            "font-size": 8,
+            color: "#e2e8f0",
             width: 1.8,
             "curve-style": "bezier",
             "target-arrow-shape": "triangle",
-            "line-color": "rgba(226, 232, 240, 0.35)",
-            "target-arrow-color": "rgba(226, 232, 240, 0.35)",
-            opacity: 0.75,
+            "line-color": "rgba(226, 232, 240, 0.45)",
+            "target-arrow-color": "rgba(226, 232, 240, 0.45)",
             "arrow-scale": 0.8,
           },
         },
         {
-          selector: "edge.caller",
+          selector: "edge.true",
           style: {
-            "line-color": "rgba(249, 115, 22, 0.6)",
-            "target-arrow-color": "rgba(249, 115, 22, 0.6)",
+            "line-color": "rgba(34, 197, 94, 0.75)",
+            "target-arrow-color": "rgba(34, 197, 94, 0.75)",
           },
         },
         {
-          selector: "edge.callee",
+          selector: "edge.false",
           style: {
-            "line-color": "rgba(59, 130, 246, 0.58)",
-            "target-arrow-color": "rgba(59, 130, 246, 0.58)",
+            "line-color": "rgba(239, 68, 68, 0.75)",
+            "target-arrow-color": "rgba(239, 68, 68, 0.75)",
           },
         },
         {
-          selector: "edge.transitive",
+          selector: "edge.back",
           style: {
             "line-style": "dashed",
-            width: 1.4,
-            opacity: 0.42,
-          },
-        },
-        {
-          selector: ".dimmed",
-          style: {
-            opacity: 0.18,
           },
         },
       ],
     });
 
-    const layout = cy.layout({
-      name: "cose",
-      animate: true,
-      animationDuration: 900,
-      fit: true,
-      padding: 40,
-      nodeRepulsion: 18000,
-      idealEdgeLength: 150,
-      edgeElasticity: 120,
-      gravity: 0.3,
-      numIter: 1500,
-      randomize: false,
-    });
-    layout.run();
-
-    const basePositions = new Map();
-    const startFloating = () => {
-      cy.nodes().forEach((node) => {
-        basePositions.set(node.id(), { ...node.position() });
-      });
-    };
-
-    cy.once("layoutstop", startFloating);
-
-    const floatTimer = window.setInterval(() => {
-      const now = Date.now();
-      cy.nodes().forEach((node, index) => {
-        if (node.hasClass("focus") || node.hasClass("hovered") || node.grabbed()) {
-          return;
-        }
-
-        const base = basePositions.get(node.id());
-        if (!base) {
-          return;
-        }
-
-        const xOffset = Math.sin(now / 1200 + index * 0.85) * 10;
-        const yOffset = Math.cos(now / 1500 + index * 0.65) * 8;
-        node.animate(
-          {
-            position: {
-              x: base.x + xOffset,
-              y: base.y + yOffset,
-            },
-          },
-          {
-            duration: 1400,
-            queue: false,
-            easing: "ease-in-out",
-          },
-        );
-      });
-    }, 1500);
-
     cy.on("tap", "node", (event) => {
       const data = event.target.data();
-      onNodeSelect({
-        function_id: data.id,
-        name: data.label,
-        file: data.file,
-        line: data.line,
-        package: data.package,
-      });
-    });
-
-    cy.on("mouseover", "node", (event) => {
-      const node = event.target;
-      cy.elements().addClass("dimmed");
-      node.removeClass("dimmed").addClass("hovered");
-      node.connectedEdges().removeClass("dimmed");
-      node.neighborhood().removeClass("dimmed");
-      setHoveredNode(node.data());
-    });
-
-    cy.on("mouseout", "node", (event) => {
-      event.target.removeClass("hovered");
-      cy.elements().removeClass("dimmed");
-      setHoveredNode(null);
+      cy.nodes().removeClass("selected");
+      event.target.addClass("selected");
+      setSelectedBlockId(data.id);
+      if (data.startLine !== null) {
+        onBlockSelect({ start: data.startLine, end: data.endLine || data.startLine });
+      }
     });
 
     return () => {
-      window.clearInterval(floatTimer);
       cy.destroy();
     };
-  }, [elements, onNodeSelect, selectedFunction]);
+  }, [cfg, elements, onBlockSelect]);
+
+  const selectedBlock = cfg?.blocks.find((block) => block.id === selectedBlockId) || null;
 
   return (
     <section className="panel graph-panel">
@@ -887,53 +3182,65 @@ function GraphPanel({
           <div className="view-switch">
             <button
               type="button"
-              className={`view-switch__button ${
-                graphView === "neighbors" ? "view-switch__button--active" : ""
-              }`}
-              onClick={() => onGraphViewChange("neighbors")}
+              className="view-switch__button"
+              onClick={() => onCallGraphOpen("neighbors")}
             >
               Neighbors
             </button>
             <button
               type="button"
-              className={`view-switch__button ${
-                graphView === "deep" ? "view-switch__button--active" : ""
-              }`}
-              onClick={() => onGraphViewChange("deep")}
+              className="view-switch__button"
+              onClick={() => onCallGraphOpen("deep")}
             >
               Deep
             </button>
+            <button type="button" className="view-switch__button view-switch__button--active">
+              CFG
+            </button>
           </div>
         </div>
         <div className="graph-meta">
           <span className="meta-pill">{selectedFunction?.name || "-"}</span>
-          <span className="meta-pill meta-pill--muted">{selectedFunction?.package || "-"}</span>
-          <span className="meta-pill meta-pill--muted">{elements.length} elements</span>
+          <span className="meta-pill meta-pill--muted">{cfg?.blockCount ?? "-"} blocks</span>
+          <span className="meta-pill meta-pill--muted">
+            complexity {cfg?.cyclomaticComplexity ?? "-"}
+          </span>
+          {selectedBlock ? (
+            <span className="meta-pill meta-pill--muted">
+              {selectedBlock.id}: {selectedBlock.nodes.length} statements
+            </span>
+          ) : null}
         </div>
       </div>
-      {hoveredNode ? (
-        <div className="graph-hover-card">
-          <div className="graph-hover-card__title">{hoveredNode.label}</div>
-          <div className="graph-hover-card__meta">{hoveredNode.package || "unknown package"}</div>
-          <div className="graph-hover-card__meta">
-            {hoveredNode.file ? `${hoveredNode.file}${hoveredNode.line ? `:${hoveredNode.line}` : ""}` : hoveredNode.id}
-          </div>
+      {error ? <div className="graph-empty">{error}</div> : null}
+      {!error && isLoading ? <div className="graph-empty">Loading control flow...</div> : null}
+      {!error && !isLoading && cfg && cfg.blockCount === 0 ? (
+        <div className="graph-empty">
+          No control-flow edges for this function
+          {cfg.missingEdgeKinds.length > 0
+            ? ` (edge kinds not in this CPG: ${cfg.missingEdgeKinds.join(", ")})`
+            : ""}
+          .
         </div>
       ) : null}
-      {error ? <div className="graph-empty">{error}</div> : null}
-      {!error && isLoading ? <div className="graph-empty">Loading graph...</div> : null}
-      {!error && !isLoading ? <div ref={containerRef} className="graph-canvas" /> : null}
+      {!error && !isLoading && elements.length > 0 ? (
+        <div ref={containerRef} className="graph-canvas" />
+      ) : null}
     </section>
   );
 }
 
 function App() {
   const [mode, setMode] = useState("browse");
-  const [selectedFile, setSelectedFile] = useState(DEFAULT_FILE);
+  const [projects, setProjects] = useState([]);
+  const [projectId, setProjectId] = useState(null);
+  const [selectedFile, setSelectedFile] = useState("");
   const [resolvedFile, setResolvedFile] = useState("No file loaded");
   const [packageName, setPackageName] = useState("-");
   const [content, setContent] = useState("");
   const [functions, setFunctions] = useState([]);
+  const [referenceSites, setReferenceSites] = useState([]);
+  const [notes, setNotes] = useState([]);
   const [browserPath, setBrowserPath] = useState("");
   const [browserEntries, setBrowserEntries] = useState([]);
   const [isBrowserLoading, setIsBrowserLoading] = useState(false);
@@ -943,19 +3250,35 @@ function App() {
   const [graphError, setGraphError] = useState("");
   const [selectedFunction, setSelectedFunction] = useState(null);
   const [graphView, setGraphView] = useState("neighbors");
-  const [graphData, setGraphData] = useState({
-    neighborhood: [],
-    callChain: [],
-    callers: [],
-  });
+  const [graphDepth, setGraphDepth] = useState(DEFAULT_GRAPH_DEPTH);
+  const [highlightedRange, setHighlightedRange] = useState(null);
+  const [usages, setUsages] = useState(null);
+  const [graphData, setGraphData] = useState(EMPTY_GRAPH_DATA);
+  const [compareProjectId, setCompareProjectId] = useState(null);
+  const [followDynamic, setFollowDynamic] = useState(true);
+  const [includeExternal, setIncludeExternal] = useState("all");
+  const [diffData, setDiffData] = useState(null);
+  const [pinnedPositions, setPinnedPositions] = useState(null);
+  const [restoreCount, setRestoreCount] = useState(0);
+  const isRestoringRef = useRef(false);
+  const restoreLocationRef = useRef(null);
+  const api = useMemo(() => createApiClient(), []);
   const activeGraphData = useMemo(
     () => selectGraphData(graphData, graphView, selectedFunction),
     [graphData, graphView, selectedFunction],
   );
 
   const graphElements = useMemo(
-    () => buildGraphElements(selectedFunction, activeGraphData),
-    [activeGraphData, selectedFunction],
+    () =>
+      diffData
+        ? buildDiffGraphElements(diffData)
+        : buildGraphElements(selectedFunction, activeGraphData),
+    [activeGraphData, diffData, selectedFunction],
+  );
+
+  const compareOptions = useMemo(
+    () => projects.filter((project) => project.id !== projectId),
+    [projects, projectId],
   );
 
   const loadDirectory = useCallback(async (path) => {
@@ -963,13 +3286,13 @@ function App() {
 
     try {
       const query = path ? `?path=${encodeURIComponent(path)}` : "";
-      const payload = await requestJson(`/call-graph/files${query}`);
+      const payload = await api.requestJson(`/call-graph/files${query}`);
       setBrowserEntries(Array.isArray(payload.entries) ? payload.entries : []);
       setBrowserPath(payload.path || "");
     } finally {
       setIsBrowserLoading(false);
     }
-  }, []);
+  }, [api]);
 
   const loadFile = useCallback(async (file, options = {}) => {
     const trimmedFile = file.trim();
@@ -981,9 +3304,11 @@ function App() {
     setSourceError("");
 
     try {
-      const [filePayload, functionsPayload] = await Promise.all([
-        requestJson(`/call-graph/file?file=${encodeURIComponent(trimmedFile)}`),
-        requestJson(`/call-graph/file-functions?file=${encodeURIComponent(trimmedFile)}`),
+      const [filePayload, functionsPayload, sites, fileNotes] = await Promise.all([
+        api.requestJson(`/call-graph/file?file=${encodeURIComponent(trimmedFile)}`),
+        api.requestJson(`/call-graph/file-functions?file=${encodeURIComponent(trimmedFile)}`),
+        loadReferenceSites(api, trimmedFile),
+        loadNotes(api, trimmedFile),
       ]);
 
       const nextResolvedFile = filePayload.fileResolved || filePayload.fileRequested || trimmedFile;
@@ -992,6 +3317,11 @@ function App() {
       setPackageName(filePayload.package || "-");
       setContent(filePayload.content || "");
       setFunctions(Array.isArray(functionsPayload.functions) ? functionsPayload.functions : []);
+      setReferenceSites(sites);
+      setNotes(fileNotes);
+      setHighlightedRange(
+        options.range || (options.line ? { start: options.line, end: options.line } : null),
+      );
 
       if (options.mode) {
         setMode(options.mode);
@@ -1000,35 +3330,47 @@ function App() {
       if (options.clearGraph) {
         setSelectedFunction(null);
         setGraphView("neighbors");
-        setGraphData({ neighborhood: [], callChain: [], callers: [] });
+        setGraphData(EMPTY_GRAPH_DATA);
         setGraphError("");
       }
     } catch (error) {
+      if (isAbortError(error)) {
+        return;
+      }
       setContent("");
       setFunctions([]);
+      setReferenceSites([]);
+      setNotes([]);
       setSourceError(String(error.message || error));
     } finally {
       setIsSourceLoading(false);
     }
-  }, []);
+  }, [api]);
 
-  const loadFunctionSource = useCallback(async (functionMeta) => {
+  const loadFunctionSource = useCallback(async (functionMeta, options = {}) => {
     setIsSourceLoading(true);
     setSourceError("");
 
     try {
-      const sourcePayload = await requestJson(
+      const sourcePayload = await api.requestJson(
         `/call-graph/source?functionId=${encodeURIComponent(functionMeta.function_id)}`,
       );
-      const functionsPayload = await requestJson(
-        `/call-graph/file-functions?file=${encodeURIComponent(sourcePayload.file)}`,
-      );
+      const [functionsPayload, sites, fileNotes] = await Promise.all([
+        api.requestJson(
+          `/call-graph/file-functions?file=${encodeURIComponent(sourcePayload.file)}`,
+        ),
+        loadReferenceSites(api, sourcePayload.file),
+        loadNotes(api, sourcePayload.file),
+      ]);
 
       setSelectedFile(sourcePayload.file);
       setResolvedFile(sourcePayload.file);
       setPackageName(sourcePayload.package || "-");
       setContent(sourcePayload.content || "");
       setFunctions(Array.isArray(functionsPayload.functions) ? functionsPayload.functions : []);
+      setReferenceSites(sites);
+      setNotes(fileNotes);
+      setHighlightedRange(options.range || null);
       setSelectedFunction({
         function_id: sourcePayload.functionId || functionMeta.function_id,
         name: sourcePayload.name || functionMeta.name,
@@ -1037,46 +3379,162 @@ function App() {
         package: sourcePayload.package || functionMeta.package,
       });
       await loadDirectory(getParentPath(sourcePayload.file));
+      return sourcePayload.file;
     } catch (error) {
-      setSourceError(String(error.message || error));
+      if (!isAbortError(error)) {
+        setSourceError(String(error.message || error));
+      }
+      return null;
     } finally {
       setIsSourceLoading(false);
     }
-  }, [loadDirectory]);
+  }, [api, loadDirectory]);
 
-  const loadGraph = useCallback(async (functionMeta) => {
+  const loadGraph = useCallback(async (functionMeta, options = {}) => {
+    const traversal = {
+      followDynamic: options.followDynamic ?? followDynamic,
+      includeExternal: options.includeExternal ?? includeExternal,
+      depth: options.depth ?? graphDepth,
+    };
     setIsGraphLoading(true);
     setGraphError("");
 
     try {
-      const [neighborhoodPayload, callChainPayload, callersPayload] = await Promise.all([
-        requestJson(`/call-graph/neighborhood?functionId=${encodeURIComponent(functionMeta.function_id)}`),
-        requestJson(`/call-graph/call-chain?functionId=${encodeURIComponent(functionMeta.function_id)}`),
-        requestJson(`/call-graph/callers?functionId=${encodeURIComponent(functionMeta.function_id)}`),
+      const functionId = encodeURIComponent(functionMeta.function_id);
+      if (compareProjectId) {
+        const diffPayload = await api.requestJson(
+          `/diff/function?base=${encodeURIComponent(compareProjectId)}&head=${encodeURIComponent(projectId)}&functionId=${functionId}`,
+        );
+        setDiffData(diffPayload);
+        return;
+      }
+
+      setDiffData(null);
+      const [payload, detail] = await Promise.all([
+        api.requestJson(
+          `/call-graph/subgraph?functionId=${functionId}&up=${traversal.depth}&down=${traversal.depth}&limit=${MAX_TRAVERSAL_NODES}&followDynamic=${traversal.followDynamic}&includeExternal=${traversal.includeExternal}`,
+        ),
+        withFallback(api.requestJson(`/call-graph/function-detail?functionId=${functionId}`), null),
       ]);
       setGraphData({
-        neighborhood: Array.isArray(neighborhoodPayload.nodes) ? neighborhoodPayload.nodes : [],
-        callChain: Array.isArray(callChainPayload.nodes)
-          ? callChainPayload.nodes.filter((node) => Number(node.depth || 0) <= MAX_TRANSITIVE_DEPTH)
-          : [],
-        callers: Array.isArray(callersPayload.nodes)
-          ? callersPayload.nodes.filter((node) => Number(node.depth || 0) <= MAX_TRANSITIVE_DEPTH)
-          : [],
+        nodes: Array.isArray(payload.nodes) ? payload.nodes : [],
+        edges: Array.isArray(payload.edges) ? payload.edges : [],
+        recursion: detail ? detail.recursion : null,
+        metrics: detail ? detail.metrics : null,
+        complexity: detail ? detail.cyclomaticComplexity : null,
       });
     } catch (error) {
-      setGraphData({ neighborhood: [], callChain: [], callers: [] });
+      if (isAbortError(error)) {
+        return;
+      }
+      setGraphData(EMPTY_GRAPH_DATA);
+      setDiffData(null);
       setGraphError(String(error.message || error));
     } finally {
       setIsGraphLoading(false);
     }
+  }, [api, compareProjectId, followDynamic, graphDepth, includeExternal, projectId]);
+
+  useEffect(() => {
+    if (selectedFunction && mode === "graph") {
+      loadGraph(selectedFunction);
+    }
+  }, [compareProjectId, followDynamic, graphDepth, includeExternal]);
+
+  async function restoreLocation(location) {
+    isRestoringRef.current = true;
+
+    try {
+      if (location.project !== api.getProjectId()) {
+        api.setProject(location.project);
+        setProjectId(location.project);
+        setCompareProjectId(null);
+        setUsages(null);
+      }
+      setMode(location.mode);
+      setGraphView(location.graphView);
+      setGraphDepth(location.depth);
+      setPinnedPositions(null);
+      setDiffData(null);
+      setGraphError("");
+
+      let loadedFile = null;
+      if (location.functionId) {
+        const functionMeta = { function_id: location.functionId, name: location.functionId };
+        setSelectedFunction(functionMeta);
+        const [sourceFile] = await Promise.all([
+          loadFunctionSource(functionMeta, { range: location.range }),
+          location.mode === "graph" ? loadGraph(functionMeta, location) : null,
+        ]);
+        loadedFile = sourceFile;
+      } else {
+        setSelectedFunction(null);
+        setGraphData(EMPTY_GRAPH_DATA);
+      }
+
+      const file = location.file || (location.functionId ? null : DEFAULT_FILE);
+      if (file && file !== loadedFile) {
+        await loadFile(file, { range: location.range });
+        await loadDirectory(getParentPath(file));
+      }
+    } finally {
+      setRestoreCount((count) => count + 1);
+    }
+  }
+  restoreLocationRef.current = restoreLocation;
+
+  useEffect(() => {
+    restoreLocationRef.current(readLocationState());
+    api
+      .requestJson("/projects")
+      .then((payload) => {
+        setProjects(Array.isArray(payload.projects) ? payload.projects : []);
+        setProjectId((current) => current || payload.defaultProjectId || null);
+      })
+      .catch(() => setProjects([]));
+
+    const handlePopState = () => restoreLocationRef.current(readLocationState());
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
   }, []);
 
   useEffect(() => {
-    loadDirectory("");
-    loadFile(DEFAULT_FILE, { mode: "browse", clearGraph: true });
-  }, [loadDirectory, loadFile]);
+    const search = buildLocationSearch({
+      project: api.getProjectId(),
+      mode,
+      file: selectedFile,
+      range: highlightedRange,
+      functionId: selectedFunction?.function_id || null,
+      graphView,
+      depth: graphDepth,
+    });
+    if (search === window.location.search) {
+      return;
+    }
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (isRestoringRef.current) {
+      window.history.replaceState(null, "", url);
+    } else {
+      window.history.pushState(null, "", url);
+    }
+  }, [
+    graphDepth,
+    graphView,
+    highlightedRange,
+    mode,
+    projectId,
+    restoreCount,
+    selectedFile,
+    selectedFunction?.function_id,
+  ]);
+
+  useEffect(() => {
+    isRestoringRef.current = false;
+  }, [restoreCount]);
 
   async function handleFunctionClick(functionMeta) {
+    setPinnedPositions(null);
     setSelectedFunction(functionMeta);
     setGraphView("neighbors");
     setMode("graph");
@@ -1084,84 +3542,363 @@ function App() {
   }
 
   async function handleGraphNodeSelect(functionMeta) {
+    setPinnedPositions(null);
     await Promise.all([loadFunctionSource(functionMeta), loadGraph(functionMeta)]);
   }
 
+  async function handleFindUsages(nodeId, label) {
+    setUsages({ nodeId, label, payload: null, error: "" });
+
+    try {
+      const payload = await api.requestJson(
+        `/call-graph/references?nodeId=${encodeURIComponent(nodeId)}`,
+      );
+      setUsages((current) =>
+        current && current.nodeId === nodeId ? { ...current, payload } : current,
+      );
+    } catch (error) {
+      setUsages((current) =>
+        current && current.nodeId === nodeId
+          ? { ...current, error: String(error.message || error) }
+          : current,
+      );
+    }
+  }
+
+  async function handleDefinitionOpen(definition) {
+    if (!definition.file) {
+      return;
+    }
+
+    if (definition.kind === "function") {
+      await loadFunctionSource({
+        function_id: definition.id,
+        name: definition.name,
+        file: definition.file,
+        line: definition.line,
+        package: definition.package,
+      });
+      return;
+    }
+
+    await handleReferenceOpen(definition.file, definition.line);
+  }
+
+  async function handleSymbolSelect(symbol) {
+    await handleDefinitionOpen({
+      id: symbol.id,
+      kind: symbol.kind === "function" || symbol.kind === "method" ? "function" : symbol.kind,
+      name: symbol.name,
+      package: symbol.package,
+      file: symbol.file,
+      line: symbol.line,
+    });
+  }
+
+  async function handleReferenceOpen(file, line) {
+    if (mode !== "browse" && mode !== "graph" && mode !== "cfg") {
+      setMode("browse");
+    }
+    await loadFile(file, { line });
+    await loadDirectory(getParentPath(file));
+  }
+
+  function handleGraphExport(format) {
+    if (!selectedFunction) {
+      return;
+    }
+
+    const depth = graphView === "neighbors" ? 1 : graphDepth;
+    api.downloadPostFromApi(
+      `/call-graph/export?functionId=${encodeURIComponent(selectedFunction.function_id)}&format=${format}&up=${depth}&down=${depth}&limit=${MAX_TRAVERSAL_NODES}&followDynamic=${followDynamic}&includeExternal=${includeExternal}`,
+      {
+        nodeIds: activeGraphData.nodes.map((node) => node.id),
+        collapseExternal: true,
+      },
+    ).catch((error) => {
+      if (!isAbortError(error)) {
+        setGraphError(String(error.message || error));
+      }
+    });
+  }
+
+  async function handleCallGraphOpen(view) {
+    setGraphView(view);
+    setMode("graph");
+    await loadGraph(selectedFunction);
+  }
+
+  async function handleNoteCreate(line, text) {
+    const note = await api.postJson("/annotations/notes", { file: resolvedFile, line, text });
+    setNotes((current) => [...current, note]);
+  }
+
+  async function handleNoteUpdate(id, text) {
+    const note = await api.sendJson("PATCH", `/annotations/notes/${id}`, { text });
+    setNotes((current) => current.map((entry) => (entry.id === id ? note : entry)));
+  }
+
+  async function handleNoteDelete(id) {
+    await api.sendJson("DELETE", `/annotations/notes/${id}`);
+    setNotes((current) => current.filter((entry) => entry.id !== id));
+  }
+
+  function handleBookmark() {
+    return api.postJson("/annotations/bookmarks", {
+      functionId: selectedFunction.function_id,
+      label: selectedFunction.name,
+    });
+  }
+
+  function handleSaveView(name, positions) {
+    return api.postJson("/annotations/views", {
+      name,
+      rootFunctionId: selectedFunction.function_id,
+      graphView,
+      depth: graphView === "neighbors" ? 1 : graphDepth,
+      followDynamic,
+      includeExternal,
+      positions,
+    });
+  }
+
+  async function handleViewOpen(view) {
+    const functionMeta = { function_id: view.rootFunctionId, name: view.name };
+    setCompareProjectId(null);
+    setFollowDynamic(view.followDynamic);
+    setIncludeExternal(view.includeExternal);
+    setPinnedPositions(view.positions);
+    setSelectedFunction(functionMeta);
+    setGraphView(view.graphView);
+    setGraphDepth(GRAPH_DEPTH_OPTIONS.includes(view.depth) ? view.depth : DEFAULT_GRAPH_DEPTH);
+    setMode("graph");
+    await Promise.all([loadFunctionSource(functionMeta), loadGraph(functionMeta, view)]);
+  }
+
+  function handleLineSelect(line, extend) {
+    setHighlightedRange((current) =>
+      extend && current
+        ? { start: Math.min(current.start, line), end: Math.max(current.end, line) }
+        : { start: line, end: line },
+    );
+  }
+
+  async function handleProjectChange(nextProjectId) {
+    api.setProject(nextProjectId);
+    setProjectId(nextProjectId);
+    setCompareProjectId(null);
+    handleBackToBrowse();
+    setUsages(null);
+    setSelectedFile("");
+    setResolvedFile("No file loaded");
+    setPackageName("-");
+    setContent("");
+    setFunctions([]);
+    setReferenceSites([]);
+    setNotes([]);
+    setHighlightedRange(null);
+    setSourceError("");
+    await loadDirectory("");
+  }
+
   function handleBackToBrowse() {
     setMode("browse");
     setSelectedFunction(null);
     setGraphView("neighbors");
-    setGraphData({ neighborhood: [], callChain: [], callers: [] });
+    setGraphData(EMPTY_GRAPH_DATA);
+    setDiffData(null);
+    setPinnedPositions(null);
     setGraphError("");
   }
 
   return (
-    <main className="app-shell">
-      <FileBrowser
-        currentPath={browserPath}
-        entries={browserEntries}
-        isLoading={isBrowserLoading || isSourceLoading}
-        selectedFile={selectedFile}
-        onDirectoryOpen={loadDirectory}
-        onFileOpen={(file, options) => loadFile(file, { ...options, clearGraph: true })}
-      />
-
-      {mode === "browse" ? (
-        <section className="panel source-panel source-panel--browse">
-          <p className="section-label">Source</p>
-          <div className="file-strip">
-            <span className="meta-pill">{resolvedFile}</span>
-            <span className="meta-pill meta-pill--muted">{packageName}</span>
-          </div>
-        {sourceError ? (
-          <div className="empty-state">{sourceError}</div>
-        ) : isSourceLoading ? (
-          <div className="empty-state">Loading source...</div>
-        ) : (
-          <SourceViewer
-            content={content}
-            functions={functions}
-            selectedFunctionId={selectedFunction?.function_id || null}
-            selectedLine={selectedFunction?.line || null}
-            onFunctionClick={handleFunctionClick}
+    <ApiContext value={api}>
+      <main className="app-shell">
+        <FileBrowser
+          currentPath={browserPath}
+          entries={browserEntries}
+          isLoading={isBrowserLoading || isSourceLoading}
+          selectedFile={selectedFile}
+          onDirectoryOpen={loadDirectory}
+          onFileOpen={(file, options) => loadFile(file, { ...options, clearGraph: true })}
+          onSymbolSelect={handleSymbolSelect}
+          projects={projects}
+          projectId={projectId}
+          onProjectChange={handleProjectChange}
+          onDeadCodeOpen={() => {
+            handleBackToBrowse();
+            setMode("dead-code");
+          }}
+          onPackagesOpen={() => {
+            handleBackToBrowse();
+            setMode("packages");
+          }}
+          onImpactOpen={() => {
+            handleBackToBrowse();
+            setMode("impact");
+          }}
+          onBookmarksOpen={() => {
+            handleBackToBrowse();
+            setMode("bookmarks");
+          }}
+          onInspectorOpen={() => setMode("inspector")}
+          onQueriesOpen={() => {
+            handleBackToBrowse();
+            setMode("queries");
+          }}
+        />
+
+        {mode === "inspector" ? (
+          <InspectorPanel
+            key={projectId || "default"}
+            initialNodeId={selectedFunction?.function_id || null}
+            onReferenceOpen={handleReferenceOpen}
+            onClose={() => setMode("browse")}
           />
-        )}
-      </section>
-      ) : (
-        <section className="graph-mode">
-          <GraphPanel
-            elements={graphElements}
-            graphView={graphView}
-            selectedFunction={selectedFunction}
-            onNodeSelect={handleGraphNodeSelect}
-            onGraphViewChange={setGraphView}
-            onBack={handleBackToBrowse}
-            isLoading={isGraphLoading}
-            error={graphError}
+        ) : mode === "queries" ? (
+          <QueryConsolePanel
+            key={projectId || "default"}
+            onFunctionSelect={handleFunctionClick}
+            onClose={() => setMode("browse")}
+          />
+        ) : mode === "bookmarks" ? (
+          <BookmarksPanel
+            key={projectId || "default"}
+            onFunctionSelect={handleFunctionClick}
+            onReferenceOpen={handleReferenceOpen}
+            onViewOpen={handleViewOpen}
+            onClose={() => setMode("browse")}
+          />
+        ) : mode === "impact" ? (
+          <ImpactPanel
+            key={projectId || "default"}
+            onFunctionSelect={handleFunctionClick}
+            onReferenceOpen={handleReferenceOpen}
+            onClose={() => setMode("browse")}
           />
-          <section className="panel source-panel source-panel--graph">
+        ) : mode === "packages" ? (
+          <PackageGraphPanel
+            key={projectId || "default"}
+            onFunctionSelect={handleFunctionClick}
+            onClose={() => setMode("browse")}
+          />
+        ) : mode === "dead-code" ? (
+          <DeadCodePanel
+            key={projectId || "default"}
+            onReferenceOpen={handleReferenceOpen}
+            onClose={() => setMode("browse")}
+          />
+        ) : mode === "browse" ? (
+          <section className="panel source-panel source-panel--browse">
             <p className="section-label">Source</p>
             <div className="file-strip">
               <span className="meta-pill">{resolvedFile}</span>
               <span className="meta-pill meta-pill--muted">{packageName}</span>
             </div>
-            {sourceError ? (
-              <div className="empty-state">{sourceError}</div>
-            ) : isSourceLoading ? (
-              <div className="empty-state">Loading source...</div>
+            <UsagesPanel
+              usages={usages}
+              onClose={() => setUsages(null)}
+              onReferenceOpen={handleReferenceOpen}
+            />
+          {sourceError ? (
+            <div className="empty-state">{sourceError}</div>
+          ) : isSourceLoading ? (
+            <div className="empty-state">Loading source...</div>
+          ) : (
+            <SourceViewer
+              content={content}
+              functions={functions}
+              referenceSites={referenceSites}
+              notes={notes}
+              selectedFunctionId={selectedFunction?.function_id || null}
+              selectedLine={highlightedRange?.start || selectedFunction?.line || null}
+              highlightedRange={highlightedRange}
+              onFunctionClick={handleFunctionClick}
+              onDefinitionOpen={handleDefinitionOpen}
+              onFindUsages={handleFindUsages}
+              onLineSelect={handleLineSelect}
+              onNoteCreate={handleNoteCreate}
+              onNoteUpdate={handleNoteUpdate}
+              onNoteDelete={handleNoteDelete}
+            />
+          )}
+        </section>
+        ) : (
+          <section className="graph-mode">
+            {mode === "cfg" ? (
+              <CfgPanel
+                selectedFunction={selectedFunction}
+                onBlockSelect={setHighlightedRange}
+                onCallGraphOpen={handleCallGraphOpen}
+                onBack={handleBackToBrowse}
+              />
             ) : (
-              <SourceViewer
-                content={content}
-                functions={functions}
-                selectedFunctionId={selectedFunction?.function_id || null}
-                selectedLine={selectedFunction?.line || null}
-                onFunctionClick={handleFunctionClick}
+              <GraphPanel
+                elements={graphElements}
+                recursion={diffData ? null : graphData.recursion}
+                metrics={diffData ? null : graphData.metrics}
+                complexity={diffData ? null : graphData.complexity}
+                graphView={graphView}
+                graphDepth={graphDepth}
+                selectedFunction={selectedFunction}
+                onNodeSelect={handleGraphNodeSelect}
+                onGraphViewChange={setGraphView}
+                onGraphDepthChange={setGraphDepth}
+                onCfgOpen={() => setMode("cfg")}
+                onExport={handleGraphExport}
+                compareOptions={compareOptions}
+                compareProjectId={compareProjectId}
+                onCompareChange={setCompareProjectId}
+                followDynamic={followDynamic}
+                onFollowDynamicChange={setFollowDynamic}
+                includeExternal={includeExternal}
+                onIncludeExternalChange={setIncludeExternal}
+                pinnedPositions={pinnedPositions}
+                onBookmark={handleBookmark}
+                onSaveView={handleSaveView}
+                onBack={handleBackToBrowse}
+                isLoading={isGraphLoading}
+                error={graphError}
               />
             )}
+            <section className="panel source-panel source-panel--graph">
+              <p className="section-label">Source</p>
+              <div className="file-strip">
+                <span className="meta-pill">{resolvedFile}</span>
+                <span className="meta-pill meta-pill--muted">{packageName}</span>
+              </div>
+              <UsagesPanel
+                usages={usages}
+                onClose={() => setUsages(null)}
+                onReferenceOpen={handleReferenceOpen}
+              />
+              {sourceError ? (
+                <div className="empty-state">{sourceError}</div>
+              ) : isSourceLoading ? (
+                <div className="empty-state">Loading source...</div>
+              ) : (
+                <SourceViewer
+                  content={content}
+                  functions={functions}
+                  referenceSites={referenceSites}
+                  notes={notes}
+                  selectedFunctionId={selectedFunction?.function_id || null}
+                  selectedLine={highlightedRange?.start || selectedFunction?.line || null}
+                  highlightedRange={highlightedRange}
+                  onFunctionClick={handleFunctionClick}
+                  onDefinitionOpen={handleDefinitionOpen}
+                  onFindUsages={handleFindUsages}
+                  onLineSelect={handleLineSelect}
+                  onNoteCreate={handleNoteCreate}
+                  onNoteUpdate={handleNoteUpdate}
+                  onNoteDelete={handleNoteDelete}
+                />
+              )}
+            </section>
           </section>
-        </section>
-      )}
-    </main>
+        )}
+      </main>
+    </ApiContext>
   );
 }
 
@@ -0,0 +1,208 @@
+const Database = require("better-sqlite3");
+
+const GRAPH_VIEWS = ["neighbors", "deep"];
+
+function openStoreConnection(storePath, logger) {
+  if (storePath !== ":memory:") {
+    try {
+      return { connection: new Database(storePath), storePath, persistent: true };
+    } catch (err) {
+      logger.warn({ err, storePath }, "Annotation store is not writable, using memory");
+    }
+  }
+  return { connection: new Database(":memory:"), storePath: ":memory:", persistent: false };
+}
+
+function toTargetRow(row) {
+  return {
+    id: row.id,
+    functionId: row.function_id,
+    file: row.file,
+    line: row.line,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function toBookmark(row) {
+  return row ? { ...toTargetRow(row), label: row.label } : null;
+}
+
+function toNote(row) {
+  return row ? { ...toTargetRow(row), text: row.text } : null;
+}
+
+function toView(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    name: row.name,
+    rootFunctionId: row.root_function_id,
+    graphView: row.graph_view,
+    depth: row.depth,
+    followDynamic: Boolean(row.follow_dynamic),
+    includeExternal: row.include_external,
+    positions: JSON.parse(row.positions),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function createAnnotationStore({ dbPath, storePath, logger }) {
+  const opened = openStoreConnection(storePath || `${dbPath}.annotations.db`, logger);
+  const connection = opened.connection;
+
+  connection.exec(`
+    CREATE TABLE IF NOT EXISTS bookmarks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      function_id TEXT,
+      file TEXT,
+      line INTEGER,
+      label TEXT NOT NULL DEFAULT '',
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS notes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      function_id TEXT,
+      file TEXT,
+      line INTEGER,
+      text TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS notes_file ON notes (file, line);
+    CREATE INDEX IF NOT EXISTS notes_function ON notes (function_id);
+    CREATE TABLE IF NOT EXISTS saved_views (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      root_function_id TEXT NOT NULL,
+      graph_view TEXT NOT NULL,
+      depth INTEGER NOT NULL,
+      follow_dynamic INTEGER NOT NULL,
+      include_external TEXT NOT NULL,
+      positions TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+  `);
+
+  const listBookmarksStatement = connection.prepare(
+    "SELECT * FROM bookmarks ORDER BY created_at DESC, id DESC",
+  );
+  const getBookmarkStatement = connection.prepare("SELECT * FROM bookmarks WHERE id = ?");
+  const insertBookmarkStatement = connection.prepare(`
+    INSERT INTO bookmarks (function_id, file, line, label, created_at, updated_at)
+    VALUES (@functionId, @file, @line, @label, @now, @now)
+  `);
+  const updateBookmarkStatement = connection.prepare(
+    "UPDATE bookmarks SET label = @label, updated_at = @now WHERE id = @id",
+  );
+  const deleteBookmarkStatement = connection.prepare("DELETE FROM bookmarks WHERE id = ?");
+
+  const listNotesStatement = connection.prepare(`
+    SELECT *
+    FROM notes
+    WHERE (@functionId IS NULL OR function_id = @functionId)
+      AND (@file IS NULL OR file = @file)
+    ORDER BY file, line, id
+  `);
+  const getNoteStatement = connection.prepare("SELECT * FROM notes WHERE id = ?");
+  const insertNoteStatement = connection.prepare(`
+    INSERT INTO notes (function_id, file, line, text, created_at, updated_at)
+    VALUES (@functionId, @file, @line, @text, @now, @now)
+  `);
+  const updateNoteStatement = connection.prepare(
+    "UPDATE notes SET text = @text, updated_at = @now WHERE id = @id",
+  );
+  const deleteNoteStatement = connection.prepare("DELETE FROM notes WHERE id = ?");
+
+  const listViewsStatement = connection.prepare("SELECT * FROM saved_views ORDER BY name");
+  const getViewStatement = connection.prepare("SELECT * FROM saved_views WHERE id = ?");
+  const insertViewStatement = connection.prepare(`
+    INSERT INTO saved_views (
+      name, root_function_id, graph_view, depth, follow_dynamic, include_external, positions,
+      created_at, updated_at
+    )
+    VALUES (
+      @name, @rootFunctionId, @graphView, @depth, @followDynamic, @includeExternal, @positions,
+      @now, @now
+    )
+  `);
+  const updateViewStatement = connection.prepare(`
+    UPDATE saved_views
+    SET name = @name,
+      root_function_id = @rootFunctionId,
+      graph_view = @graphView,
+      depth = @depth,
+      follow_dynamic = @followDynamic,
+      include_external = @includeExternal,
+      positions = @positions,
+      updated_at = @now
+    WHERE id = @id
+  `);
+  const deleteViewStatement = connection.prepare("DELETE FROM saved_views WHERE id = ?");
+
+  function toViewParams(view) {
+    return {
+      name: view.name,
+      rootFunctionId: view.rootFunctionId,
+      graphView: view.graphView,
+      depth: view.depth,
+      followDynamic: view.followDynamic ? 1 : 0,
+      includeExternal: view.includeExternal,
+      positions: JSON.stringify(view.positions),
+      now: new Date().toISOString(),
+    };
+  }
+
+  return {
+    storePath: opened.storePath,
+    persistent: opened.persistent,
+    listBookmarks: () => listBookmarksStatement.all().map(toBookmark),
+    getBookmark: (id) => toBookmark(getBookmarkStatement.get(id)),
+    createBookmark: (bookmark) => {
+      const result = insertBookmarkStatement.run({
+        ...bookmark,
+        now: new Date().toISOString(),
+      });
+      return toBookmark(getBookmarkStatement.get(result.lastInsertRowid));
+    },
+    updateBookmark: (id, { label }) => {
+      updateBookmarkStatement.run({ id, label, now: new Date().toISOString() });
+      return toBookmark(getBookmarkStatement.get(id));
+    },
+    deleteBookmark: (id) => deleteBookmarkStatement.run(id).changes > 0,
+    listNotes: ({ functionId = null, file = null } = {}) =>
+      listNotesStatement.all({ functionId, file }).map(toNote),
+    getNote: (id) => toNote(getNoteStatement.get(id)),
+    createNote: (note) => {
+      const result = insertNoteStatement.run({ ...note, now: new Date().toISOString() });
+      return toNote(getNoteStatement.get(result.lastInsertRowid));
+    },
+    updateNote: (id, { text }) => {
+      updateNoteStatement.run({ id, text, now: new Date().toISOString() });
+      return toNote(getNoteStatement.get(id));
+    },
+    deleteNote: (id) => deleteNoteStatement.run(id).changes > 0,
+    listViews: () => listViewsStatement.all().map(toView),
+    getView: (id) => toView(getViewStatement.get(id)),
+    createView: (view) => {
+      const result = insertViewStatement.run(toViewParams(view));
+      return toView(getViewStatement.get(result.lastInsertRowid));
+    },
+    updateView: (id, view) => {
+      updateViewStatement.run({ ...toViewParams(view), id });
+      return toView(getViewStatement.get(id));
+    },
+    deleteView: (id) => deleteViewStatement.run(id).changes > 0,
+    close: () => connection.close(),
+  };
+}
+
+module.exports = {
+  GRAPH_VIEWS,
+  createAnnotationStore,
+};
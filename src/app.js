@@ -2,14 +2,86 @@ const Fastify = require("fastify");
 const cors = require("@fastify/cors");
 const helmet = require("@fastify/helmet");
 const sensible = require("@fastify/sensible");
-const { createDbClient } = require("./db");
-
-const CALL_GRAPH_QUERY_NAMES = {
-  neighborhood: "function_neighborhood",
-  callChain: "call_chain",
-  callers: "callers_of",
-  pathfinder: "call_chain_pathfinder",
-  symbolSearch: "symbol_search",
+const path = require("node:path");
+const { createProjectRegistry } = require("./projects");
+const {
+  DEFAULT_ROOT_KINDS,
+  ROOT_KINDS,
+  findUnreachableFunctions,
+  groupByPackageAndFile,
+  renderDeadCodeCsv,
+} = require("./deadCode");
+const {
+  findAffectedCallers,
+  mapRangesToFunctions,
+  parseLineRanges,
+  parseUnifiedDiff,
+} = require("./impactAnalysis");
+const { METRICS, computeFunctionMetrics } = require("./functionMetrics");
+const { buildPackageGraph, expandPackage } = require("./packageGraph");
+const { diffCallGraphs, diffFunctionNeighborhood, findFunctionKey } = require("./graphDiff");
+const { buildProjectCallGraphs } = require("./callGraph");
+const {
+  ARGUMENT_EDGE_KIND,
+  DEFAULT_FLOW_EDGE_KINDS,
+  PARAMETER_EDGE_KIND,
+  createDataFlowRunner,
+} = require("./dataFlow");
+const {
+  DEFAULT_CFG_EDGE_KINDS,
+  computeFunctionCfg,
+  getCyclomaticComplexity,
+} = require("./controlFlow");
+const { GRAPH_VIEWS, createAnnotationStore } = require("./annotationStore");
+const { createQueryRunner } = require("./queryRunner");
+const {
+  RULE_SEVERITIES,
+  evaluateRules,
+  loadRulesFile,
+  parseRules,
+  parseRulesText,
+} = require("./archRules");
+const { INCLUDE_EXTERNAL_MODES, createOriginFilter } = require("./nodeOrigin");
+const { EXPORT_FORMATS, collapseExternalNodes, renderGraph } = require("./graphExport");
+const {
+  SEARCH_MODES,
+  buildMatcher,
+  createCodeSearchIndex,
+  createRegexSearchRunner,
+} = require("./codeSearch");
+const { NODE_KIND_TO_SYMBOL_KIND, SYMBOL_KINDS, buildSymbolIndex } = require("./symbolSearch");
+
+const MAX_TRAVERSAL_DEPTH = 50;
+const DEFAULT_TRAVERSAL_LIMIT = 200;
+const MAX_TRAVERSAL_LIMIT = 1000;
+const MAX_SEARCH_QUERY_LENGTH = 200;
+const MAX_COUNTED_SEARCH_MATCHES = 10000;
+const REGEX_SEARCH_TIMEOUT_MS = 5000;
+const MAX_RUNNING_REGEX_SEARCHES = 2;
+const DATAFLOW_TIMEOUT_MS = 15000;
+const MAX_RUNNING_DATAFLOW_TRACES = 2;
+const PATH_MODES = ["shortest", "k-shortest", "all"];
+const DEFAULT_ALL_PATHS_MAX_LENGTH = 8;
+const MAX_IMPACT_BODY_BYTES = 5 * 1024 * 1024;
+const MAX_PATH_SEARCH_STEPS = 200000;
+const MAX_NOTE_LENGTH = 10000;
+const MAX_LABEL_LENGTH = 200;
+const MAX_SAVED_VIEW_POSITIONS = 2000;
+const EDGE_DIRECTIONS = ["in", "out"];
+const MAX_FLOW_SPECS = 100;
+const MAX_QUERY_SQL_LENGTH = 20000;
+const MAX_QUERY_CELL_LENGTH = 10000;
+const MAX_RUNNING_QUERIES = 2;
+const QUERY_ERROR_STATUS = {
+  QUERY_BUSY: "serviceUnavailable",
+  QUERY_TIMEOUT: "requestTimeout",
+  QUERY_NOT_READONLY: "badRequest",
+  QUERY_INVALID: "badRequest",
+  SEARCH_BUSY: "serviceUnavailable",
+  SEARCH_TIMEOUT: "requestTimeout",
+  SEARCH_INVALID: "badRequest",
+  FLOW_BUSY: "serviceUnavailable",
+  FLOW_TIMEOUT: "requestTimeout",
 };
 
 function requireStringQueryParam(request, app, name) {
@@ -20,10 +92,583 @@ function requireStringQueryParam(request, app, name) {
   return value.trim();
 }
 
-function ensureDbConfigured(app) {
-  if (!app.db.configured) {
+function parseIntegerQueryParam(request, name, { defaultValue, min, max }) {
+  const raw = request.query && request.query[name];
+  if (raw === undefined || raw === null || String(raw).trim() === "") {
+    return defaultValue;
+  }
+
+  const value = Number(raw);
+  if (!Number.isInteger(value)) {
+    return defaultValue;
+  }
+
+  return Math.min(Math.max(value, min), max);
+}
+
+function parseEnumQueryParam(request, app, name, allowedValues, defaultValue) {
+  const raw = request.query && request.query[name];
+  if (raw === undefined || raw === null || String(raw).trim() === "") {
+    return defaultValue;
+  }
+
+  const value = String(raw).trim();
+  if (!allowedValues.includes(value)) {
+    throw app.httpErrors.badRequest(
+      `Query parameter "${name}" must be one of: ${allowedValues.join(", ")}`,
+    );
+  }
+  return value;
+}
+
+function parseListQueryParam(request, app, name, allowedValues) {
+  const raw = request.query && request.query[name];
+  if (raw === undefined || raw === null || String(raw).trim() === "") {
+    return [];
+  }
+
+  const values = String(raw)
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+  const invalid = allowedValues
+    ? values.filter((value) => !allowedValues.includes(value))
+    : [];
+  if (invalid.length > 0) {
+    throw app.httpErrors.badRequest(
+      `Query parameter "${name}" accepts: ${allowedValues.join(", ")}`,
+    );
+  }
+  return Array.from(new Set(values));
+}
+
+function parseTraversalWindow(request) {
+  return {
+    maxDepth: parseIntegerQueryParam(request, "maxDepth", {
+      defaultValue: null,
+      min: 1,
+      max: MAX_TRAVERSAL_DEPTH,
+    }),
+    limit: parseIntegerQueryParam(request, "limit", {
+      defaultValue: DEFAULT_TRAVERSAL_LIMIT,
+      min: 1,
+      max: MAX_TRAVERSAL_LIMIT,
+    }),
+    offset: parseIntegerQueryParam(request, "offset", {
+      defaultValue: 0,
+      min: 0,
+      max: Number.MAX_SAFE_INTEGER,
+    }),
+  };
+}
+
+function parseSubgraphOptions(request) {
+  return {
+    up: parseIntegerQueryParam(request, "up", {
+      defaultValue: 1,
+      min: 0,
+      max: MAX_TRAVERSAL_DEPTH,
+    }),
+    down: parseIntegerQueryParam(request, "down", {
+      defaultValue: 1,
+      min: 0,
+      max: MAX_TRAVERSAL_DEPTH,
+    }),
+    limit: parseIntegerQueryParam(request, "limit", {
+      defaultValue: DEFAULT_TRAVERSAL_LIMIT,
+      min: 1,
+      max: MAX_TRAVERSAL_LIMIT,
+    }),
+  };
+}
+
+function applyTraversalWindow(nodes, { maxDepth, limit, offset }) {
+  const withinDepth = [...nodes].sort((left, right) => {
+    const depthDelta = Number(left.depth || 0) - Number(right.depth || 0);
+    if (depthDelta !== 0) {
+      return depthDelta;
+    }
+    const nameDelta = String(left.name || "").localeCompare(String(right.name || ""));
+    if (nameDelta !== 0) {
+      return nameDelta;
+    }
+    return String(left.id || "").localeCompare(String(right.id || ""));
+  });
+  const page = withinDepth.slice(offset, offset + limit);
+
+  return {
+    maxDepth,
+    limit,
+    offset,
+    total: withinDepth.length,
+    count: page.length,
+    truncated: offset + page.length < withinDepth.length,
+    nodes: page,
+  };
+}
+
+function parseBooleanQueryParam(request, name, defaultValue = false) {
+  const raw = request.query && request.query[name];
+  if (raw === undefined || raw === null || String(raw).trim() === "") {
+    return defaultValue;
+  }
+  return String(raw).toLowerCase() === "true";
+}
+
+function parseIncludeExternalParam(request, app, defaultMode) {
+  const raw = request.query && request.query.includeExternal;
+  const legacyMode = { true: "all", false: "none" }[String(raw).trim().toLowerCase()];
+  const includeExternal =
+    legacyMode ||
+    parseEnumQueryParam(request, app, "includeExternal", INCLUDE_EXTERNAL_MODES, defaultMode);
+
+  return {
+    includeExternal,
+    nodeFilter: createOriginFilter(includeExternal),
+  };
+}
+
+function parseTraversalGraph(request, app, project) {
+  const followDynamic = parseBooleanQueryParam(request, "followDynamic", true);
+
+  return {
+    callGraph: followDynamic ? project.callGraph : project.staticCallGraph,
+    followDynamic,
+    ...parseIncludeExternalParam(request, app, "all"),
+  };
+}
+
+function requireProjectQueryParam(request, app, name) {
+  if (!app.projects.configured) {
+    throw app.httpErrors.serviceUnavailable("SQLite database is not configured");
+  }
+
+  const projectId = requireStringQueryParam(request, app, name);
+  if (!app.projects.has(projectId)) {
+    throw app.httpErrors.notFound(`Project not found: ${projectId}`);
+  }
+  return app.projects.get(projectId);
+}
+
+function clampBodyInteger(value, { defaultValue, min, max }) {
+  if (value === undefined || value === null || value === "") {
+    return defaultValue;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed)) {
+    return defaultValue;
+  }
+  return Math.min(Math.max(parsed, min), max);
+}
+
+function groupFunctionsByPackage(functions) {
+  const packages = new Map();
+
+  for (const fn of functions) {
+    const packageName = fn.package || "";
+    if (!packages.has(packageName)) {
+      packages.set(packageName, []);
+    }
+    packages.get(packageName).push(fn);
+  }
+
+  return Array.from(packages.entries())
+    .map(([packageName, list]) => ({
+      package: packageName || null,
+      count: list.length,
+      minDistance: Math.min(...list.map((fn) => fn.distance)),
+      functions: list,
+    }))
+    .sort(
+      (left, right) =>
+        left.minDistance - right.minDistance ||
+        String(left.package || "").localeCompare(String(right.package || "")),
+    );
+}
+
+function requireKnownFunction(app, callGraph, functionId) {
+  if (!callGraph.hasFunction(functionId)) {
+    throw app.httpErrors.notFound(`Function not found: ${functionId}`);
+  }
+}
+
+function getRequestBody(request) {
+  return request.body && typeof request.body === "object" ? request.body : {};
+}
+
+function parseIdParam(request, app) {
+  const id = Number(request.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    throw app.httpErrors.badRequest(`Invalid id: ${request.params.id}`);
+  }
+  return id;
+}
+
+function requireBodyText(app, body, name, { maxLength, allowEmpty = false }) {
+  const value = body[name];
+  if (typeof value !== "string" || (!allowEmpty && value.trim() === "")) {
+    throw app.httpErrors.badRequest(`Body field "${name}" is required`);
+  }
+  if (value.length > maxLength) {
+    throw app.httpErrors.badRequest(`Body field "${name}" is longer than ${maxLength} characters`);
+  }
+  return value.trim();
+}
+
+function resolveAnnotationTarget(app, project, body) {
+  if (typeof body.functionId === "string" && body.functionId.trim() !== "") {
+    const functionId = body.functionId.trim();
+    requireKnownFunction(app, project.callGraph, functionId);
+    const node = project.callGraph.getNode(functionId);
+    return { functionId, file: node.file || null, line: node.line || null };
+  }
+
+  if (typeof body.file !== "string" || body.file.trim() === "") {
+    throw app.httpErrors.badRequest('Body must contain "functionId" or "file"');
+  }
+  const file = project.db.resolveSourceFilePath(body.file.trim());
+  if (!file) {
+    throw app.httpErrors.notFound(`Source file not found: ${body.file}`);
+  }
+  if (body.line === undefined || body.line === null) {
+    return { functionId: null, file, line: null };
+  }
+  if (!Number.isInteger(body.line) || body.line < 1) {
+    throw app.httpErrors.badRequest('Body field "line" must be a positive integer');
+  }
+  return { functionId: null, file, line: body.line };
+}
+
+function parseSavedViewBody(app, project, body) {
+  const rootFunctionId =
+    typeof body.rootFunctionId === "string" ? body.rootFunctionId.trim() : "";
+  if (!rootFunctionId) {
+    throw app.httpErrors.badRequest('Body field "rootFunctionId" is required');
+  }
+  requireKnownFunction(app, project.callGraph, rootFunctionId);
+
+  const graphView = body.graphView === undefined ? GRAPH_VIEWS[0] : body.graphView;
+  if (!GRAPH_VIEWS.includes(graphView)) {
+    throw app.httpErrors.badRequest(
+      `Invalid graphView: ${graphView} (expected one of ${GRAPH_VIEWS.join(", ")})`,
+    );
+  }
+  const includeExternal = body.includeExternal === undefined ? "all" : body.includeExternal;
+  if (!INCLUDE_EXTERNAL_MODES.includes(includeExternal)) {
+    throw app.httpErrors.badRequest(
+      `Invalid includeExternal: ${includeExternal} (expected one of ${INCLUDE_EXTERNAL_MODES.join(", ")})`,
+    );
+  }
+
+  const positions = body.positions === undefined ? {} : body.positions;
+  if (!positions || typeof positions !== "object" || Array.isArray(positions)) {
+    throw app.httpErrors.badRequest('Body field "positions" must be an object');
+  }
+  const entries = Object.entries(positions);
+  if (entries.length > MAX_SAVED_VIEW_POSITIONS) {
+    throw app.httpErrors.badRequest(
+      `Body field "positions" has more than ${MAX_SAVED_VIEW_POSITIONS} entries`,
+    );
+  }
+  for (const [nodeId, position] of entries) {
+    if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.y)) {
+      throw app.httpErrors.badRequest(`Invalid position for node: ${nodeId}`);
+    }
+  }
+
+  return {
+    name: requireBodyText(app, body, "name", { maxLength: MAX_LABEL_LENGTH }),
+    rootFunctionId,
+    graphView,
+    depth: clampBodyInteger(body.depth, { defaultValue: 1, min: 1, max: MAX_TRAVERSAL_DEPTH }),
+    followDynamic: body.followDynamic !== false,
+    includeExternal,
+    positions: Object.fromEntries(
+      entries.map(([nodeId, position]) => [nodeId, { x: position.x, y: position.y }]),
+    ),
+  };
+}
+
+function requireBodyStringList(app, body, name, { required, maxEntries = MAX_FLOW_SPECS }) {
+  const value = body[name];
+  if (value === undefined && !required) {
+    return [];
+  }
+  if (
+    !Array.isArray(value) ||
+    value.some((entry) => typeof entry !== "string" || entry.trim() === "") ||
+    (required && value.length === 0)
+  ) {
+    throw app.httpErrors.badRequest(`Body field "${name}" must be a list of strings`);
+  }
+  if (value.length > maxEntries) {
+    throw app.httpErrors.badRequest(`Body field "${name}" has more than ${maxEntries} entries`);
+  }
+  return Array.from(new Set(value.map((entry) => entry.trim())));
+}
+
+function exportSubgraph(request, reply, app, { nodeIds, collapseExternal }) {
+  const project = resolveProject(request, app);
+
+  const { callGraph, followDynamic, includeExternal, nodeFilter } = parseTraversalGraph(
+    request,
+    app,
+    project,
+  );
+  const functionId = requireStringQueryParam(request, app, "functionId");
+  requireKnownFunction(app, callGraph, functionId);
+  const format = parseEnumQueryParam(request, app, "format", Object.keys(EXPORT_FORMATS), "dot");
+  const { up, down, limit } = parseSubgraphOptions(request);
+  const subgraph = callGraph.subgraph(functionId, { up, down, limit, nodeFilter, nodeIds });
+  const graph = collapseExternal ? collapseExternalNodes(subgraph) : subgraph;
+  const focus = callGraph.getNode(functionId);
+  const title = focus.package ? `${focus.package}.${focus.name}` : focus.name;
+  const fileName = `${title.replace(/[^A-Za-z0-9_.-]+/g, "_")}.${EXPORT_FORMATS[format].extension}`;
+
+  reply
+    .header("content-type", EXPORT_FORMATS[format].contentType)
+    .header("content-disposition", `attachment; filename="${fileName}"`);
+
+  return renderGraph(format, {
+    title,
+    metadata: {
+      functionId,
+      up,
+      down,
+      limit,
+      followDynamic,
+      includeExternal,
+      selectedNodeCount: nodeIds ? nodeIds.size : null,
+      collapseExternal,
+      truncated: graph.truncated,
+    },
+    nodes: graph.nodes,
+    edges: graph.edges,
+  });
+}
+
+function parseBodyRanges(app, body) {
+  if (body.ranges === undefined) {
+    return [];
+  }
+  const values = typeof body.ranges === "string" ? body.ranges.split(/[\n,]/) : body.ranges;
+  if (!Array.isArray(values) || values.some((value) => typeof value !== "string")) {
+    throw app.httpErrors.badRequest('Body field "ranges" must be a string or a list of strings');
+  }
+  return values.filter((value) => value.trim() !== "");
+}
+
+function parseFlowSources(app, body) {
+  const sources = body.sources;
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw app.httpErrors.badRequest('Body field "sources" must be a non-empty list');
+  }
+  if (sources.length > MAX_FLOW_SPECS) {
+    throw app.httpErrors.badRequest(`Body field "sources" has more than ${MAX_FLOW_SPECS} entries`);
+  }
+
+  return sources.map((source, index) => {
+    const text = (key) =>
+      source && typeof source[key] === "string" && source[key].trim() !== ""
+        ? source[key].trim()
+        : null;
+
+    if (text("nodeId")) {
+      return { nodeId: text("nodeId") };
+    }
+    if (text("functionId") && text("parameter")) {
+      return { functionId: text("functionId"), parameter: text("parameter") };
+    }
+    if (text("callee")) {
+      return { callee: text("callee") };
+    }
+    throw app.httpErrors.badRequest(
+      `Source ${index} must have "nodeId", "functionId" and "parameter", or "callee"`,
+    );
+  });
+}
+
+function parseQueryBindings(app, body) {
+  const params = body.params;
+  if (params === undefined || params === null) {
+    return {};
+  }
+  if (typeof params !== "object") {
+    throw app.httpErrors.badRequest('Body field "params" must be an object or a list');
+  }
+
+  const isScalar = (value) =>
+    value === null || ["string", "number", "boolean"].includes(typeof value);
+  const toBinding = (value) => (typeof value === "boolean" ? Number(value) : value);
+  const values = Array.isArray(params) ? params : Object.values(params);
+  if (!values.every(isScalar)) {
+    throw app.httpErrors.badRequest(
+      'Body field "params" may only contain strings, numbers, booleans and null',
+    );
+  }
+
+  return Array.isArray(params)
+    ? params.map(toBinding)
+    : Object.fromEntries(Object.entries(params).map(([key, value]) => [key, toBinding(value)]));
+}
+
+function loadRulesOrFail(app, load) {
+  try {
+    return load();
+  } catch (err) {
+    if (err.code === "RULES_NOT_FOUND") {
+      throw app.httpErrors.notFound(err.message);
+    }
+    if (err.code === "RULES_INVALID") {
+      throw app.httpErrors.badRequest(err.message);
+    }
+    throw err;
+  }
+}
+
+function resolveRulesFilePath() {
+  const rulesPath = process.env.ARCHITECTURE_RULES_PATH || "architecture-rules.yaml";
+  return path.isAbsolute(rulesPath) ? rulesPath : path.resolve(process.cwd(), rulesPath);
+}
+
+async function runQueryOrFail(app, run) {
+  try {
+    return await run();
+  } catch (err) {
+    const status = QUERY_ERROR_STATUS[err.code];
+    if (status) {
+      throw app.httpErrors[status](err.message);
+    }
+    if (String(err.code || "").startsWith("SQLITE_")) {
+      throw app.httpErrors.badRequest(err.message);
+    }
+    throw err;
+  }
+}
+
+function saveViewOrConflict(app, save, name) {
+  try {
+    return save();
+  } catch (err) {
+    if (err.code === "SQLITE_CONSTRAINT_UNIQUE") {
+      throw app.httpErrors.conflict(`Saved view already exists: ${name}`);
+    }
+    throw err;
+  }
+}
+
+function toNodeEdge(row) {
+  const {
+    other_id: otherId,
+    other_kind: otherKind,
+    other_name: otherName,
+    other_package: otherPackage,
+    other_file: otherFile,
+    other_line: otherLine,
+    ...edge
+  } = row;
+
+  return {
+    ...edge,
+    node: otherId
+      ? {
+          id: otherId,
+          kind: otherKind,
+          name: otherName,
+          package: otherPackage,
+          file: otherFile,
+          line: otherLine,
+        }
+      : null,
+  };
+}
+
+function groupReferencesByFile(references) {
+  const files = new Map();
+
+  for (const reference of references) {
+    const file = reference.file || "";
+    if (!files.has(file)) {
+      files.set(file, { file: reference.file || null, count: 0, references: [] });
+    }
+    const group = files.get(file);
+    group.count += 1;
+    group.references.push({
+      id: reference.id,
+      kind: reference.kind,
+      name: reference.name,
+      line: reference.line,
+      col: reference.col,
+      edgeKind: reference.edge_kind,
+      functionId: reference.function_id,
+      functionName: reference.function_name,
+    });
+  }
+
+  return Array.from(files.values());
+}
+
+function groupReferenceSites(rows) {
+  const sites = new Map();
+
+  for (const row of rows) {
+    if (!sites.has(row.id)) {
+      sites.set(row.id, {
+        id: row.id,
+        kind: row.kind,
+        name: row.name,
+        line: row.line,
+        col: row.col,
+        definitions: [],
+      });
+    }
+    const site = sites.get(row.id);
+    if (site.definitions.some((definition) => definition.id === row.target_id)) {
+      continue;
+    }
+    site.definitions.push({
+      id: row.target_id,
+      kind: row.target_kind,
+      name: row.target_name,
+      package: row.target_package,
+      file: row.target_file,
+      line: row.target_line,
+      col: row.target_col,
+      edgeKind: row.edge_kind,
+    });
+  }
+
+  return Array.from(sites.values());
+}
+
+function findSiteAtColumn(sites, col) {
+  const covering = sites.filter((site) => {
+    const start = Number(site.col || 0);
+    return col >= start && col < start + Math.max(String(site.name || "").length, 1);
+  });
+  if (covering.length > 0) {
+    return covering[covering.length - 1];
+  }
+
+  const preceding = sites.filter((site) => Number(site.col || 0) <= col);
+  return preceding.length > 0 ? preceding[preceding.length - 1] : null;
+}
+
+function resolveProject(request, app) {
+  if (!app.projects.configured) {
     throw app.httpErrors.serviceUnavailable("SQLite database is not configured");
   }
+
+  const projectId =
+    request.query && typeof request.query.project === "string"
+      ? request.query.project.trim()
+      : "";
+  if (projectId && !app.projects.has(projectId)) {
+    throw app.httpErrors.notFound(`Project not found: ${projectId}`);
+  }
+
+  return app.projects.get(projectId);
 }
 
 function normalizeBrowsePath(inputPath) {
@@ -102,6 +747,57 @@ function buildFileBrowserIndex(files) {
   };
 }
 
+function loadProjectIndexes(db, projectId, logger) {
+  const { dispatchIndex, staticCallGraph, callGraph } = buildProjectCallGraphs(db);
+  logger.info(
+    {
+      project: projectId,
+      nodes: callGraph.nodeCount,
+      edges: callGraph.edgeCount,
+      interfaces: dispatchIndex.interfaceCount,
+      dynamicEdges: dispatchIndex.dynamicEdgeRows.length,
+    },
+    "Call graph index built",
+  );
+
+  const metricsStartedAt = Date.now();
+  computeFunctionMetrics(callGraph);
+  logger.info(
+    { project: projectId, ms: Date.now() - metricsStartedAt },
+    "Function metrics computed",
+  );
+
+  const codeSearchIndexDir = process.env.CODE_SEARCH_INDEX_DIR;
+  const codeSearchIndex = createCodeSearchIndex({
+    dbPath: db.dbPath,
+    indexPath: codeSearchIndexDir
+      ? path.join(codeSearchIndexDir, `${projectId}.search.db`)
+      : null,
+    iterateSources: () => db.iterateSources(),
+    logger,
+  });
+  const annotationDir = process.env.ANNOTATIONS_DIR;
+  const annotationStore = createAnnotationStore({
+    dbPath: db.dbPath,
+    storePath: annotationDir ? path.join(annotationDir, `${projectId}.annotations.db`) : null,
+    logger,
+  });
+
+  return {
+    fileBrowserIndex: buildFileBrowserIndex(db.listSourceFiles()),
+    callGraph,
+    staticCallGraph,
+    dispatchIndex,
+    symbolIndex: buildSymbolIndex(db.listNodesByKinds(Object.keys(NODE_KIND_TO_SYMBOL_KIND))),
+    codeSearchIndex,
+    annotationStore,
+    close: () => {
+      codeSearchIndex.close();
+      annotationStore.close();
+    },
+  };
+}
+
 async function buildApp() {
   const app = Fastify({
     logger: {
@@ -112,48 +808,129 @@ async function buildApp() {
   await app.register(helmet);
   await app.register(cors, {
     origin: true,
+    methods: ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE"],
   });
   await app.register(sensible);
 
-  const db = createDbClient(process.env.SQLITE_PATH || "../cp_graph.db");
-  app.decorate("db", db);
+  const projects = createProjectRegistry({
+    sqlitePath: process.env.SQLITE_PATH || "../cp_graph.db",
+    loadIndexes: (db, projectId) => loadProjectIndexes(db, projectId, app.log),
+    logger: app.log,
+  });
+  app.decorate("projects", projects);
+  const queryRunner = createQueryRunner({
+    maxRunning: MAX_RUNNING_QUERIES,
+    maxCellLength: MAX_QUERY_CELL_LENGTH,
+  });
+  const regexSearchRunner = createRegexSearchRunner({
+    maxRunning: MAX_RUNNING_REGEX_SEARCHES,
+  });
+  const dataFlowRunner = createDataFlowRunner({
+    maxRunning: MAX_RUNNING_DATAFLOW_TRACES,
+  });
   app.addHook("onClose", async () => {
-    app.db.close();
+    app.projects.close();
   });
 
-  const fileBrowserIndex = app.db.configured
-    ? buildFileBrowserIndex(app.db.listSourceFiles())
-    : null;
-
   app.get("/health", async () => {
-    const dbStatus = app.db.ping();
+    const dbStatus = app.projects.configured ? app.projects.getDb().ping() : { ok: false };
 
     return {
-      status: dbStatus.ok || !app.db.configured ? "ok" : "degraded",
+      status: dbStatus.ok || !app.projects.configured ? "ok" : "degraded",
       service: "fastbackend",
-      dbConfigured: app.db.configured,
+      dbConfigured: app.projects.configured,
+      projectCount: app.projects.list().length,
       timestamp: new Date().toISOString(),
     };
   });
 
   app.get("/health/db", async () => {
-    const dbStatus = app.db.ping();
+    const db = app.projects.configured ? app.projects.getDb() : null;
+    const dbStatus = db ? db.ping() : { ok: false, reason: "SQLITE_PATH is not configured" };
 
     return {
       status: dbStatus.ok ? "ok" : "unavailable",
-      configured: app.db.configured,
-      dbPath: app.db.dbPath,
+      configured: app.projects.configured,
+      dbPath: db ? db.dbPath : null,
+      defaultProjectId: app.projects.defaultProjectId,
       ...dbStatus,
       timestamp: new Date().toISOString(),
     };
   });
 
+  app.get("/projects", async () => {
+    const list = app.projects.list();
+
+    return {
+      count: list.length,
+      defaultProjectId: app.projects.defaultProjectId,
+      projects: list,
+    };
+  });
+
+  app.get("/diff", async (request) => {
+    const base = requireProjectQueryParam(request, app, "base");
+    const head = requireProjectQueryParam(request, app, "head");
+    const limit = parseIntegerQueryParam(request, "limit", {
+      defaultValue: 500,
+      min: 1,
+      max: 5000,
+    });
+    const diff = diffCallGraphs(base.callGraph, head.callGraph);
+    const lists = [
+      "addedFunctions",
+      "removedFunctions",
+      "addedEdges",
+      "removedEdges",
+      "changedFunctions",
+    ];
+
+    const summary = {};
+    const result = {};
+    for (const name of lists) {
+      summary[name] = diff[name].length;
+      result[name] = diff[name].slice(0, limit);
+    }
+
+    return {
+      base: base.id,
+      head: head.id,
+      limit,
+      truncated: lists.some((name) => diff[name].length > limit),
+      summary,
+      ...result,
+    };
+  });
+
+  app.get("/diff/function", async (request) => {
+    const base = requireProjectQueryParam(request, app, "base");
+    const head = requireProjectQueryParam(request, app, "head");
+    const functionId = requireStringQueryParam(request, app, "functionId");
+    const functionKey =
+      findFunctionKey(head.callGraph, functionId) || findFunctionKey(base.callGraph, functionId);
+    if (!functionKey) {
+      throw app.httpErrors.notFound(`Function not found: ${functionId}`);
+    }
+
+    const diff = diffFunctionNeighborhood(base.callGraph, head.callGraph, functionKey);
+
+    return {
+      base: base.id,
+      head: head.id,
+      functionId,
+      functionKey,
+      nodeCount: diff.nodes.length,
+      edgeCount: diff.edges.length,
+      nodes: diff.nodes,
+      edges: diff.edges,
+    };
+  });
+
   app.get("/queries", async (request) => {
-    ensureDbConfigured(app);
+    const project = resolveProject(request, app);
 
-    const includeSql =
-      request.query && String(request.query.includeSql).toLowerCase() === "true";
-    const queries = app.db.listQueries(includeSql);
+    const includeSql = parseBooleanQueryParam(request, "includeSql");
+    const queries = project.db.listQueries(includeSql);
 
     return {
       count: queries.length,
@@ -162,51 +939,207 @@ async function buildApp() {
     };
   });
 
+  app.post("/queries/run", async (request) => {
+    const project = resolveProject(request, app);
+    const body = getRequestBody(request);
+    const hasName = typeof body.name === "string" && body.name.trim() !== "";
+    const hasSql = typeof body.sql === "string" && body.sql.trim() !== "";
+    if (hasName === hasSql) {
+      throw app.httpErrors.badRequest('Body must have exactly one of "name" or "sql"');
+    }
+
+    const name = hasName ? body.name.trim() : null;
+    const sql = hasName
+      ? project.db.getQuerySql(name)
+      : requireBodyText(app, body, "sql", { maxLength: MAX_QUERY_SQL_LENGTH });
+    if (!sql) {
+      throw app.httpErrors.notFound(`Query not found: ${name}`);
+    }
+
+    const params = parseQueryBindings(app, body);
+    const maxRows = clampBodyInteger(body.maxRows, { defaultValue: 500, min: 1, max: 5000 });
+    const timeoutMs = clampBodyInteger(body.timeoutMs, {
+      defaultValue: 5000,
+      min: 100,
+      max: 30000,
+    });
+    const result = await runQueryOrFail(app, () =>
+      queryRunner.run({ dbPath: project.db.dbPath, sql, params, maxRows, timeoutMs }),
+    );
+    const functionColumns = result.columns
+      .filter((column, index) =>
+        result.rows.some(
+          (row) => typeof row[index] === "string" && project.callGraph.hasFunction(row[index]),
+        ),
+      )
+      .map((column) => column.name);
+
+    return {
+      name,
+      sql,
+      params,
+      maxRows,
+      timeoutMs,
+      elapsedMs: result.elapsedMs,
+      columnCount: result.columns.length,
+      columns: result.columns,
+      functionColumns,
+      count: result.rows.length,
+      truncated: result.truncated,
+      truncatedCells: result.truncatedCells,
+      rows: result.rows,
+    };
+  });
+
   app.get("/call-graph/search", async (request) => {
-    ensureDbConfigured(app);
+    const project = resolveProject(request, app);
 
     const q = requireStringQueryParam(request, app, "q");
-    const requestedLimit = Number(request.query && request.query.limit);
-    const limit = Number.isInteger(requestedLimit)
-      ? Math.min(Math.max(requestedLimit, 1), 50)
-      : 25;
+    const kinds = parseListQueryParam(request, app, "kind", SYMBOL_KINDS);
+    const packageName =
+      request.query && typeof request.query.package === "string"
+        ? request.query.package.trim()
+        : "";
+    const pathPrefix = normalizeBrowsePath(request.query && request.query.path);
+    const limit = parseIntegerQueryParam(request, "limit", {
+      defaultValue: 25,
+      min: 1,
+      max: 100,
+    });
+    const offset = parseIntegerQueryParam(request, "offset", {
+      defaultValue: 0,
+      min: 0,
+      max: Number.MAX_SAFE_INTEGER,
+    });
 
-    const rows = app.db.runQueryByName(CALL_GRAPH_QUERY_NAMES.symbolSearch, {
-      pattern: `%${q}%`,
+    const result = project.symbolIndex.search({
+      query: q,
+      kinds,
+      packageName,
+      pathPrefix,
+      limit,
+      offset,
     });
-    const functions = rows.filter((row) => row.kind === "function").slice(0, limit);
 
     return {
       query: q,
-      count: functions.length,
-      functions,
+      kinds,
+      package: packageName || null,
+      path: pathPrefix,
+      limit,
+      offset,
+      total: result.total,
+      count: result.symbols.length,
+      truncated: offset + result.symbols.length < result.total,
+      symbols: result.symbols,
+    };
+  });
+
+  app.get("/search/code", async (request) => {
+    const project = resolveProject(request, app);
+
+    const q = requireStringQueryParam(request, app, "q");
+    const mode = parseEnumQueryParam(request, app, "mode", SEARCH_MODES, "literal");
+    const caseSensitive = parseBooleanQueryParam(request, "caseSensitive");
+    const pathPrefix = normalizeBrowsePath(request.query && request.query.path);
+    const packageName =
+      request.query && typeof request.query.package === "string"
+        ? request.query.package.trim()
+        : "";
+    const limit = parseIntegerQueryParam(request, "limit", {
+      defaultValue: 50,
+      min: 1,
+      max: 500,
+    });
+    const offset = parseIntegerQueryParam(request, "offset", {
+      defaultValue: 0,
+      min: 0,
+      max: MAX_COUNTED_SEARCH_MATCHES,
+    });
+    const contextLines = parseIntegerQueryParam(request, "context", {
+      defaultValue: 2,
+      min: 0,
+      max: 10,
+    });
+
+    if (q.length > MAX_SEARCH_QUERY_LENGTH) {
+      throw app.httpErrors.badRequest(
+        `Query parameter "q" must be at most ${MAX_SEARCH_QUERY_LENGTH} characters`,
+      );
+    }
+    try {
+      buildMatcher(q, mode, caseSensitive);
+    } catch (err) {
+      throw app.httpErrors.badRequest(err.message);
+    }
+
+    const searchOptions = {
+      query: q,
+      mode,
+      caseSensitive,
+      pathPrefix,
+      packageName,
+      limit,
+      offset,
+      contextLines,
+      maxCountedMatches: MAX_COUNTED_SEARCH_MATCHES,
+    };
+    const result =
+      mode === "regex"
+        ? await runQueryOrFail(app, () =>
+            regexSearchRunner.search({
+              ...searchOptions,
+              dbPath: project.db.dbPath,
+              timeoutMs: REGEX_SEARCH_TIMEOUT_MS,
+            }),
+          )
+        : project.codeSearchIndex.search(searchOptions);
+
+    return {
+      query: q,
+      mode,
+      caseSensitive,
+      path: pathPrefix,
+      package: packageName || null,
+      limit,
+      offset,
+      total: result.total,
+      totalCapped: result.totalCapped,
+      count: result.matches.length,
+      truncated: offset + result.matches.length < result.total,
+      matches: result.matches,
     };
   });
 
   app.get("/call-graph/function-detail", async (request) => {
-    ensureDbConfigured(app);
+    const project = resolveProject(request, app);
 
     const functionId = requireStringQueryParam(request, app, "functionId");
-    const detail = app.db.getFunctionDetail(functionId);
+    const detail = project.db.getFunctionDetail(functionId);
 
     if (!detail) {
       throw app.httpErrors.notFound(`Function not found: ${functionId}`);
     }
 
-    return detail;
+    return {
+      ...detail,
+      recursion: project.callGraph.getRecursionInfo(functionId),
+      metrics: computeFunctionMetrics(project.callGraph).get(functionId),
+      cyclomaticComplexity: getCyclomaticComplexity(project.db, functionId),
+    };
   });
 
   app.get("/call-graph/source", async (request) => {
-    ensureDbConfigured(app);
+    const project = resolveProject(request, app);
 
     const functionId = requireStringQueryParam(request, app, "functionId");
-    const detail = app.db.getFunctionDetail(functionId);
+    const detail = project.db.getFunctionDetail(functionId);
 
     if (!detail) {
       throw app.httpErrors.notFound(`Function not found: ${functionId}`);
     }
 
-    const source = app.db.getSourceByFile(detail.file);
+    const source = project.db.getSourceByFile(detail.file);
     if (!source) {
       throw app.httpErrors.notFound(`Source file not found: ${detail.file}`);
     }
@@ -222,12 +1155,106 @@ async function buildApp() {
     };
   });
 
+  app.get("/call-graph/references", async (request) => {
+    const project = resolveProject(request, app);
+
+    const nodeId = requireStringQueryParam(request, app, "nodeId");
+    const symbol = project.db.getNode(nodeId);
+    if (!symbol) {
+      throw app.httpErrors.notFound(`Node not found: ${nodeId}`);
+    }
+
+    const limit = parseIntegerQueryParam(request, "limit", {
+      defaultValue: 500,
+      min: 1,
+      max: 5000,
+    });
+    const references = project.db.listReferences(nodeId);
+    const files = groupReferencesByFile(references.slice(0, limit));
+
+    return {
+      nodeId,
+      symbol,
+      total: references.length,
+      count: Math.min(references.length, limit),
+      truncated: references.length > limit,
+      fileCount: files.length,
+      files,
+    };
+  });
+
+  app.get("/call-graph/file-references", async (request) => {
+    const project = resolveProject(request, app);
+
+    const file = requireStringQueryParam(request, app, "file");
+    const resolvedFile = project.db.resolveSourceFilePath(file);
+    if (!resolvedFile) {
+      throw app.httpErrors.notFound(`File not found: ${file}`);
+    }
+
+    const sites = groupReferenceSites(project.db.listFileReferenceSites(resolvedFile));
+
+    return {
+      fileRequested: file,
+      fileResolved: resolvedFile,
+      count: sites.length,
+      sites,
+    };
+  });
+
+  app.get("/call-graph/definition", async (request) => {
+    const project = resolveProject(request, app);
+
+    const file = requireStringQueryParam(request, app, "file");
+    const line = parseIntegerQueryParam(request, "line", {
+      defaultValue: null,
+      min: 1,
+      max: Number.MAX_SAFE_INTEGER,
+    });
+    const col = parseIntegerQueryParam(request, "col", {
+      defaultValue: 1,
+      min: 1,
+      max: Number.MAX_SAFE_INTEGER,
+    });
+    if (line === null) {
+      throw app.httpErrors.badRequest('Query parameter "line" is required');
+    }
+
+    const resolvedFile = project.db.resolveSourceFilePath(file);
+    if (!resolvedFile) {
+      throw app.httpErrors.notFound(`File not found: ${file}`);
+    }
+
+    const sitesOnLine = groupReferenceSites(
+      project.db.listFileReferenceSites(resolvedFile),
+    ).filter((site) => site.line === line);
+    const site = findSiteAtColumn(sitesOnLine, col);
+    if (!site) {
+      throw app.httpErrors.notFound(`No resolvable identifier at ${resolvedFile}:${line}:${col}`);
+    }
+
+    return {
+      fileRequested: file,
+      fileResolved: resolvedFile,
+      line,
+      col,
+      site: {
+        id: site.id,
+        kind: site.kind,
+        name: site.name,
+        line: site.line,
+        col: site.col,
+      },
+      definitions: site.definitions,
+    };
+  });
+
   app.get("/call-graph/file-functions", async (request) => {
-    ensureDbConfigured(app);
+    const project = resolveProject(request, app);
 
     const file = requireStringQueryParam(request, app, "file");
-    const resolvedFile = app.db.resolveSourceFilePath(file);
-    const functions = app.db.listFunctionsByFile(file);
+    const resolvedFile = project.db.resolveSourceFilePath(file);
+    const functions = project.db.listFunctionsByFile(file);
 
     return {
       fileRequested: file,
@@ -238,15 +1265,15 @@ async function buildApp() {
   });
 
   app.get("/call-graph/file", async (request) => {
-    ensureDbConfigured(app);
+    const project = resolveProject(request, app);
 
     const file = requireStringQueryParam(request, app, "file");
-    const resolvedFile = app.db.resolveSourceFilePath(file);
+    const resolvedFile = project.db.resolveSourceFilePath(file);
     if (!resolvedFile) {
       throw app.httpErrors.notFound(`File not found: ${file}`);
     }
 
-    const source = app.db.getSourceByFile(resolvedFile);
+    const source = project.db.getSourceByFile(resolvedFile);
     if (!source) {
       throw app.httpErrors.notFound(`File not found: ${file}`);
     }
@@ -260,14 +1287,14 @@ async function buildApp() {
   });
 
   app.get("/call-graph/files", async (request) => {
-    ensureDbConfigured(app);
+    const project = resolveProject(request, app);
 
     const browsePath = normalizeBrowsePath(request.query && request.query.path);
-    if (!fileBrowserIndex.hasDirectory(browsePath)) {
+    if (!project.fileBrowserIndex.hasDirectory(browsePath)) {
       throw app.httpErrors.notFound(`Directory not found: ${browsePath || "/"}`);
     }
 
-    const entries = fileBrowserIndex.listDirectory(browsePath);
+    const entries = project.fileBrowserIndex.listDirectory(browsePath);
     return {
       path: browsePath,
       count: entries.length,
@@ -276,85 +1303,942 @@ async function buildApp() {
   });
 
   app.get("/call-graph/neighborhood", async (request) => {
-    ensureDbConfigured(app);
+    const project = resolveProject(request, app);
 
+    const { callGraph, followDynamic, includeExternal, nodeFilter } = parseTraversalGraph(
+      request,
+      app,
+      project,
+    );
     const functionId = requireStringQueryParam(request, app, "functionId");
-    const nodes = app.db.runQueryByName(CALL_GRAPH_QUERY_NAMES.neighborhood, {
-      function_id: functionId,
-    });
+    requireKnownFunction(app, callGraph, functionId);
+    const nodes = callGraph
+      .neighborhood(functionId)
+      .filter((node) => !nodeFilter || nodeFilter(node));
 
     return {
       functionId,
+      followDynamic,
+      includeExternal,
       count: nodes.length,
       nodes,
     };
   });
 
   app.get("/call-graph/call-chain", async (request) => {
-    ensureDbConfigured(app);
+    const project = resolveProject(request, app);
 
+    const { callGraph, followDynamic, includeExternal, nodeFilter } = parseTraversalGraph(
+      request,
+      app,
+      project,
+    );
     const functionId = requireStringQueryParam(request, app, "functionId");
-    const nodes = app.db.runQueryByName(CALL_GRAPH_QUERY_NAMES.callChain, {
-      function_id: functionId,
+    requireKnownFunction(app, callGraph, functionId);
+    const traversalWindow = parseTraversalWindow(request);
+    const traversal = callGraph.traverse(functionId, "callees", {
+      maxDepth: traversalWindow.maxDepth,
+      nodeFilter,
     });
 
     return {
       functionId,
-      count: nodes.length,
-      nodes,
+      followDynamic,
+      includeExternal,
+      depthLimited: traversal.depthLimited,
+      cycleDetected: traversal.cycleDetected,
+      ...applyTraversalWindow(traversal.nodes, traversalWindow),
     };
   });
 
   app.get("/call-graph/callers", async (request) => {
-    ensureDbConfigured(app);
+    const project = resolveProject(request, app);
 
+    const { callGraph, followDynamic, includeExternal, nodeFilter } = parseTraversalGraph(
+      request,
+      app,
+      project,
+    );
     const functionId = requireStringQueryParam(request, app, "functionId");
-    const nodes = app.db.runQueryByName(CALL_GRAPH_QUERY_NAMES.callers, {
-      function_id: functionId,
+    requireKnownFunction(app, callGraph, functionId);
+    const traversalWindow = parseTraversalWindow(request);
+    const traversal = callGraph.traverse(functionId, "callers", {
+      maxDepth: traversalWindow.maxDepth,
+      nodeFilter,
     });
 
     return {
       functionId,
-      count: nodes.length,
-      nodes,
+      followDynamic,
+      includeExternal,
+      depthLimited: traversal.depthLimited,
+      cycleDetected: traversal.cycleDetected,
+      ...applyTraversalWindow(traversal.nodes, traversalWindow),
+    };
+  });
+
+  app.get("/call-graph/subgraph", async (request) => {
+    const project = resolveProject(request, app);
+
+    const { callGraph, followDynamic, includeExternal, nodeFilter } = parseTraversalGraph(
+      request,
+      app,
+      project,
+    );
+    const functionId = requireStringQueryParam(request, app, "functionId");
+    requireKnownFunction(app, callGraph, functionId);
+    const { up, down, limit } = parseSubgraphOptions(request);
+    const graph = callGraph.subgraph(functionId, { up, down, limit, nodeFilter });
+
+    return {
+      functionId,
+      followDynamic,
+      includeExternal,
+      up,
+      down,
+      limit,
+      total: graph.total,
+      truncated: graph.truncated,
+      nodeCount: graph.nodes.length,
+      edgeCount: graph.edges.length,
+      nodes: graph.nodes,
+      edges: graph.edges,
+    };
+  });
+
+  app.get("/call-graph/export", async (request, reply) => {
+    return exportSubgraph(request, reply, app, { nodeIds: null, collapseExternal: false });
+  });
+
+  app.post("/call-graph/export", async (request, reply) => {
+    const body = getRequestBody(request);
+    const nodeIds = requireBodyStringList(app, body, "nodeIds", {
+      required: true,
+      maxEntries: MAX_TRAVERSAL_LIMIT,
+    });
+    if (body.collapseExternal !== undefined && typeof body.collapseExternal !== "boolean") {
+      throw app.httpErrors.badRequest('Body field "collapseExternal" must be a boolean');
+    }
+
+    return exportSubgraph(request, reply, app, {
+      nodeIds: new Set(nodeIds),
+      collapseExternal: body.collapseExternal === true,
+    });
+  });
+
+  app.post("/call-graph/impact", { bodyLimit: MAX_IMPACT_BODY_BYTES }, async (request) => {
+    const project = resolveProject(request, app);
+
+    const body = getRequestBody(request);
+    if (body.diff !== undefined && typeof body.diff !== "string") {
+      throw app.httpErrors.badRequest('Body field "diff" must be a string');
+    }
+    const hasDiff = typeof body.diff === "string" && body.diff.trim() !== "";
+    const rangeValues = parseBodyRanges(app, body);
+    if (!hasDiff && rangeValues.length === 0) {
+      throw app.httpErrors.badRequest('Body must contain "diff" or "ranges"');
+    }
+
+    const parsedRanges = parseLineRanges(rangeValues);
+    if (parsedRanges.invalid.length > 0) {
+      throw app.httpErrors.badRequest(
+        `Invalid ranges (expected file:start-end): ${parsedRanges.invalid.join(", ")}`,
+      );
+    }
+
+    const maxDepth = clampBodyInteger(body.maxDepth, {
+      defaultValue: null,
+      min: 1,
+      max: MAX_TRAVERSAL_DEPTH,
+    });
+    const limit = clampBodyInteger(body.limit, { defaultValue: 1000, min: 1, max: 10000 });
+    const ranges = [...(hasDiff ? parseUnifiedDiff(body.diff) : []), ...parsedRanges.ranges];
+    const mapped = mapRangesToFunctions(ranges, {
+      resolveSourceFilePath: project.db.resolveSourceFilePath,
+      listFunctionsByFile: project.db.listFunctionsByFile,
+    });
+
+    const changedIds = mapped.changedFunctions
+      .map((fn) => fn.function_id)
+      .filter((id) => project.callGraph.hasFunction(id));
+    const impact = findAffectedCallers(project.callGraph, changedIds, { maxDepth });
+    const affected = impact.affected
+      .sort(
+        (left, right) =>
+          left.distance - right.distance ||
+          String(left.name).localeCompare(String(right.name)) ||
+          String(left.id).localeCompare(String(right.id)),
+      )
+      .slice(0, limit)
+      .map((fn) => ({
+        id: fn.id,
+        name: fn.name,
+        package: fn.package,
+        file: fn.file,
+        line: fn.line,
+        distance: fn.distance,
+      }));
+
+    return {
+      maxDepth,
+      limit,
+      rangeCount: mapped.ranges.length,
+      ranges: mapped.ranges,
+      unresolvedFiles: mapped.unresolvedFiles,
+      changedCount: mapped.changedFunctions.length,
+      changedFunctions: mapped.changedFunctions.map((fn) => ({
+        id: fn.function_id,
+        name: fn.name,
+        package: fn.package,
+        file: fn.file,
+        line: fn.line,
+        endLine: fn.end_line,
+      })),
+      affectedCount: impact.affected.length,
+      truncated: impact.affected.length > affected.length,
+      depthLimited: impact.depthLimited,
+      packageCount: new Set(impact.affected.map((fn) => fn.package || "")).size,
+      packages: groupFunctionsByPackage(affected),
+    };
+  });
+
+  app.post("/dataflow/trace", async (request) => {
+    const project = resolveProject(request, app);
+    const body = getRequestBody(request);
+    const sources = parseFlowSources(app, body);
+    const sinks = requireBodyStringList(app, body, "sinks", { required: true });
+    const sanitizers = requireBodyStringList(app, body, "sanitizers", { required: false });
+    const requestedKinds = requireBodyStringList(app, body, "edgeKinds", { required: false });
+    const edgeKinds = requestedKinds.length > 0 ? requestedKinds : DEFAULT_FLOW_EDGE_KINDS;
+    const maxPaths = clampBodyInteger(body.maxPaths, { defaultValue: 50, min: 1, max: 500 });
+
+    const knownKinds = new Set(project.db.listKindCounts().edgeKinds.map((entry) => entry.kind));
+    if (!edgeKinds.some((kind) => knownKinds.has(kind))) {
+      throw app.httpErrors.unprocessableEntity(
+        `None of the data-flow edge kinds occur in the database: ${edgeKinds.join(", ")}. ` +
+          `Pass "edgeKinds" from: ${Array.from(knownKinds).sort().join(", ")}`,
+      );
+    }
+    if (sources.some((spec) => spec.functionId) && !knownKinds.has(PARAMETER_EDGE_KIND)) {
+      throw app.httpErrors.unprocessableEntity(
+        `Parameter sources need "${PARAMETER_EDGE_KIND}" edges, which the database does not have`,
+      );
+    }
+
+    const result = await runQueryOrFail(app, () =>
+      dataFlowRunner.trace({
+        dbPath: project.db.dbPath,
+        callGraph: project.callGraph,
+        sources,
+        sinks,
+        sanitizers,
+        edgeKinds,
+        maxPaths,
+        timeoutMs: DATAFLOW_TIMEOUT_MS,
+      }),
+    );
+
+    return {
+      edgeKinds,
+      missingEdgeKinds: [...edgeKinds, ARGUMENT_EDGE_KIND, PARAMETER_EDGE_KIND].filter(
+        (kind) => !knownKinds.has(kind),
+      ),
+      sinks,
+      sanitizers,
+      maxPaths,
+      sourceCount: result.sources.length,
+      sources: result.sources,
+      unresolvedSources: result.unresolvedSources,
+      visitedCount: result.visitedCount,
+      truncated: result.truncated,
+      elapsedMs: result.elapsedMs,
+      pathCount: result.paths.length,
+      paths: result.paths,
+    };
+  });
+
+  app.get("/metrics/top", async (request) => {
+    const project = resolveProject(request, app);
+
+    const metric = parseEnumQueryParam(request, app, "metric", METRICS, "fanIn");
+    const packageName =
+      request.query && typeof request.query.package === "string"
+        ? request.query.package.trim()
+        : "";
+    const { includeExternal, nodeFilter } = parseIncludeExternalParam(request, app, "none");
+    const limit = parseIntegerQueryParam(request, "limit", {
+      defaultValue: 25,
+      min: 1,
+      max: 500,
+    });
+    const offset = parseIntegerQueryParam(request, "offset", {
+      defaultValue: 0,
+      min: 0,
+      max: Number.MAX_SAFE_INTEGER,
+    });
+
+    const metrics = computeFunctionMetrics(project.callGraph);
+    const ranked = [];
+    for (const [id, values] of metrics.entries()) {
+      const node = project.callGraph.getNode(id);
+      if (nodeFilter && !nodeFilter(node)) {
+        continue;
+      }
+      if (packageName && node.package !== packageName) {
+        continue;
+      }
+      if (values[metric] === null) {
+        continue;
+      }
+      ranked.push({ node, values });
+    }
+
+    ranked.sort(
+      (left, right) =>
+        right.values[metric] - left.values[metric] ||
+        String(left.node.name).localeCompare(String(right.node.name)) ||
+        String(left.node.id).localeCompare(String(right.node.id)),
+    );
+    const page = ranked.slice(offset, offset + limit);
+
+    return {
+      metric,
+      package: packageName || null,
+      includeExternal,
+      betweennessSampled: metrics.betweennessSampled,
+      total: ranked.length,
+      count: page.length,
+      limit,
+      offset,
+      functions: page.map(({ node, values }, index) => ({
+        rank: offset + index + 1,
+        id: node.id,
+        name: node.name,
+        package: node.package,
+        file: node.file,
+        line: node.line,
+        value: values[metric],
+        metrics: values,
+      })),
+    };
+  });
+
+  app.get("/call-graph/interfaces", async (request) => {
+    const project = resolveProject(request, app);
+
+    const q =
+      request.query && typeof request.query.q === "string"
+        ? request.query.q.trim().toLowerCase()
+        : "";
+    const packageName =
+      request.query && typeof request.query.package === "string"
+        ? request.query.package.trim()
+        : "";
+    const limit = parseIntegerQueryParam(request, "limit", {
+      defaultValue: 100,
+      min: 1,
+      max: 1000,
+    });
+    const offset = parseIntegerQueryParam(request, "offset", {
+      defaultValue: 0,
+      min: 0,
+      max: Number.MAX_SAFE_INTEGER,
+    });
+
+    const interfaces = project.dispatchIndex
+      .listInterfaces()
+      .filter((iface) => !packageName || iface.package === packageName)
+      .filter((iface) => !q || String(iface.name).toLowerCase().includes(q));
+    const page = interfaces.slice(offset, offset + limit);
+
+    return {
+      q: q || null,
+      package: packageName || null,
+      total: interfaces.length,
+      count: page.length,
+      limit,
+      offset,
+      dynamicEdgeCount: project.callGraph.dynamicEdgeCount,
+      interfaces: page.map((iface) => ({
+        id: iface.id,
+        name: iface.name,
+        package: iface.package,
+        file: iface.file,
+        line: iface.line,
+        embeddedIds: iface.embeddedIds,
+        methodSetComplete: iface.methodSetComplete,
+        methods: iface.methods.map((method) => method.name),
+        implementerCount: iface.implementerCount,
+      })),
+    };
+  });
+
+  app.get("/call-graph/implementers", async (request) => {
+    const project = resolveProject(request, app);
+
+    const interfaceId = requireStringQueryParam(request, app, "interfaceId");
+    const iface =
+      project.dispatchIndex.getInterface(interfaceId) ||
+      project.dispatchIndex.findInterfaceByMethod(interfaceId);
+    if (!iface) {
+      throw app.httpErrors.notFound(`Interface not found: ${interfaceId}`);
+    }
+
+    const implementers = project.dispatchIndex.listImplementers(iface.id);
+
+    return {
+      interface: {
+        id: iface.id,
+        name: iface.name,
+        package: iface.package,
+        file: iface.file,
+        line: iface.line,
+        embeddedIds: iface.embeddedIds,
+        methodSetComplete: iface.methodSetComplete,
+      },
+      methods: iface.methods,
+      count: implementers.length,
+      implementers,
+    };
+  });
+
+  app.get("/call-graph/cycles", async (request) => {
+    const project = resolveProject(request, app);
+
+    const minSize = parseIntegerQueryParam(request, "minSize", {
+      defaultValue: 1,
+      min: 1,
+      max: Number.MAX_SAFE_INTEGER,
+    });
+    const packageName =
+      request.query && typeof request.query.package === "string"
+        ? request.query.package.trim()
+        : "";
+    const limit = parseIntegerQueryParam(request, "limit", {
+      defaultValue: 100,
+      min: 1,
+      max: 1000,
+    });
+    const offset = parseIntegerQueryParam(request, "offset", {
+      defaultValue: 0,
+      min: 0,
+      max: Number.MAX_SAFE_INTEGER,
+    });
+
+    const cycles = project.callGraph
+      .listRecursiveComponents()
+      .filter((cycle) => cycle.functions.length >= minSize)
+      .filter(
+        (cycle) => !packageName || cycle.functions.some((fn) => fn.package === packageName),
+      );
+
+    return {
+      minSize,
+      package: packageName || null,
+      total: cycles.length,
+      count: Math.min(Math.max(cycles.length - offset, 0), limit),
+      limit,
+      offset,
+      cycles: cycles.slice(offset, offset + limit).map((cycle) => ({
+        index: cycle.index,
+        size: cycle.functions.length,
+        selfRecursive: cycle.selfRecursive,
+        packages: Array.from(new Set(cycle.functions.map((fn) => fn.package).filter(Boolean))),
+        files: Array.from(new Set(cycle.functions.map((fn) => fn.file).filter(Boolean))),
+        functions: cycle.functions.map((fn) => ({
+          id: fn.id,
+          name: fn.name,
+          package: fn.package,
+          file: fn.file,
+          line: fn.line,
+        })),
+      })),
+    };
+  });
+
+  app.get("/call-graph/packages", async (request) => {
+    const project = resolveProject(request, app);
+
+    const { includeExternal, nodeFilter } = parseIncludeExternalParam(request, app, "none");
+    const graph = buildPackageGraph(project.callGraph, { nodeFilter });
+
+    return {
+      includeExternal,
+      packageCount: graph.packages.length,
+      edgeCount: graph.edges.length,
+      cycleCount: graph.cycles.length,
+      packages: graph.packages,
+      edges: graph.edges,
+      cycles: graph.cycles,
+    };
+  });
+
+  app.get("/call-graph/packages/expand", async (request) => {
+    const project = resolveProject(request, app);
+
+    const packageName = requireStringQueryParam(request, app, "package");
+    const { includeExternal, nodeFilter } = parseIncludeExternalParam(request, app, "none");
+    const expanded = expandPackage(project.callGraph, packageName, { nodeFilter });
+    if (expanded.functions.length === 0) {
+      throw app.httpErrors.notFound(`Package not found: ${packageName}`);
+    }
+
+    return {
+      package: packageName,
+      includeExternal,
+      functionCount: expanded.functions.length,
+      edgeCount: expanded.edges.length,
+      functions: expanded.functions,
+      edges: expanded.edges,
+    };
+  });
+
+  app.get("/call-graph/dead-code", async (request, reply) => {
+    const project = resolveProject(request, app);
+
+    const requestedRoots = parseListQueryParam(request, app, "roots", ROOT_KINDS);
+    const rootKinds = requestedRoots.length > 0 ? requestedRoots : DEFAULT_ROOT_KINDS;
+    const exportedPackages = parseListQueryParam(request, app, "packages", null);
+    const format = parseEnumQueryParam(request, app, "format", ["json", "csv"], "json");
+    const report = findUnreachableFunctions(project.callGraph, {
+      rootKinds,
+      exportedPackages,
+      readSource: (file) => {
+        const source = project.db.getSourceByFile(file);
+        return source ? source.content : null;
+      },
+    });
+
+    if (format === "csv" || parseBooleanQueryParam(request, "download")) {
+      reply.header(
+        "content-disposition",
+        `attachment; filename="dead-code-${project.id}.${format}"`,
+      );
+    }
+    if (format === "csv") {
+      reply.header("content-type", "text/csv; charset=utf-8");
+      return renderDeadCodeCsv(report.unreachable);
+    }
+
+    const packages = groupByPackageAndFile(report.unreachable);
+
+    return {
+      roots: rootKinds,
+      exportedPackages,
+      functionCount: report.functionCount,
+      rootCount: report.rootCount,
+      rootCounts: report.rootCounts,
+      reachableCount: report.reachableCount,
+      unreachableCount: report.unreachable.length,
+      packageCount: packages.length,
+      packages,
     };
   });
 
   app.get("/call-graph/path", async (request) => {
-    ensureDbConfigured(app);
+    const project = resolveProject(request, app);
 
+    const { callGraph, followDynamic, includeExternal, nodeFilter } = parseTraversalGraph(
+      request,
+      app,
+      project,
+    );
     const startFunctionId = requireStringQueryParam(request, app, "startFunctionId");
     const endFunctionId = requireStringQueryParam(request, app, "endFunctionId");
-    const paths = app.db.runQueryByName(CALL_GRAPH_QUERY_NAMES.pathfinder, {
-      start: startFunctionId,
-      end: endFunctionId,
+    requireKnownFunction(app, callGraph, startFunctionId);
+    requireKnownFunction(app, callGraph, endFunctionId);
+    const mode = parseEnumQueryParam(request, app, "mode", PATH_MODES, "shortest");
+    const maxLength = parseIntegerQueryParam(request, "maxLength", {
+      defaultValue: mode === "all" ? DEFAULT_ALL_PATHS_MAX_LENGTH : null,
+      min: 1,
+      max: MAX_TRAVERSAL_DEPTH,
     });
 
+    let search;
+    let k = null;
+    let limit = null;
+    if (mode === "k-shortest") {
+      k = parseIntegerQueryParam(request, "k", { defaultValue: 3, min: 1, max: 20 });
+      search = callGraph.kShortestPaths(startFunctionId, endFunctionId, {
+        k,
+        maxLength,
+        nodeFilter,
+      });
+    } else if (mode === "all") {
+      limit = parseIntegerQueryParam(request, "limit", { defaultValue: 50, min: 1, max: 500 });
+      search = callGraph.allSimplePaths(startFunctionId, endFunctionId, {
+        maxLength,
+        limit,
+        maxSteps: MAX_PATH_SEARCH_STEPS,
+        nodeFilter,
+      });
+    } else {
+      search = callGraph.shortestPath(startFunctionId, endFunctionId, { maxLength, nodeFilter });
+    }
+
+    let status = "found";
+    if (search.paths.length === 0) {
+      status = callGraph.isReachable(startFunctionId, endFunctionId, { nodeFilter })
+        ? "cut_off"
+        : "no_path";
+    }
+
     return {
       startFunctionId,
       endFunctionId,
-      count: paths.length,
-      paths,
+      mode,
+      k,
+      maxLength,
+      limit,
+      followDynamic,
+      includeExternal,
+      status,
+      truncated: search.paths.length > 0 && search.limited,
+      count: search.paths.length,
+      paths: search.paths.map((ids) => ({
+        length: ids.length - 1,
+        nodes: callGraph.expandPath(ids),
+      })),
+    };
+  });
+
+  app.get("/architecture/check", async (request) => {
+    const project = resolveProject(request, app);
+    const rulesPath = resolveRulesFilePath();
+    const ruleNames = parseListQueryParam(request, app, "rule", null);
+    const severities = parseListQueryParam(request, app, "severity", RULE_SEVERITIES);
+    const limit = parseIntegerQueryParam(request, "limit", {
+      defaultValue: 200,
+      min: 1,
+      max: 5000,
+    });
+
+    const rules = loadRulesOrFail(app, () => loadRulesFile(rulesPath)).filter(
+      (rule) =>
+        (ruleNames.length === 0 || ruleNames.includes(rule.name)) &&
+        (severities.length === 0 || severities.includes(rule.severity)),
+    );
+
+    return {
+      rulesPath,
+      limit,
+      ...evaluateRules(project.callGraph, rules, { limit }),
+    };
+  });
+
+  app.post("/architecture/check", async (request) => {
+    const project = resolveProject(request, app);
+    const body = getRequestBody(request);
+    const limit = clampBodyInteger(body.limit, { defaultValue: 200, min: 1, max: 5000 });
+    if (body.rules === undefined && typeof body.text !== "string") {
+      throw app.httpErrors.badRequest('Body needs "rules" or "text"');
+    }
+
+    const rules = loadRulesOrFail(app, () =>
+      body.rules === undefined ? parseRulesText(body.text) : parseRules(body.rules),
+    );
+
+    return {
+      rulesPath: null,
+      limit,
+      ...evaluateRules(project.callGraph, rules, { limit }),
+    };
+  });
+
+  app.get("/cpg/kinds", async (request) => {
+    const project = resolveProject(request, app);
+    const kinds = project.db.listKindCounts();
+
+    return {
+      nodeKindCount: kinds.nodeKinds.length,
+      edgeKindCount: kinds.edgeKinds.length,
+      nodeKinds: kinds.nodeKinds,
+      edgeKinds: kinds.edgeKinds,
     };
   });
 
+  app.get("/cpg/nodes/:id", async (request) => {
+    const project = resolveProject(request, app);
+    const node = project.db.getRawNode(request.params.id);
+    if (!node) {
+      throw app.httpErrors.notFound(`Node not found: ${request.params.id}`);
+    }
+
+    return {
+      node,
+      edgeCounts: project.db.countNodeEdgesByKind(node.id),
+    };
+  });
+
+  app.get("/cpg/nodes/:id/edges", async (request) => {
+    const project = resolveProject(request, app);
+    const node = project.db.getRawNode(request.params.id);
+    if (!node) {
+      throw app.httpErrors.notFound(`Node not found: ${request.params.id}`);
+    }
+
+    const direction = parseEnumQueryParam(request, app, "direction", EDGE_DIRECTIONS, "out");
+    const kinds = parseListQueryParam(request, app, "kind", null);
+    const limit = parseIntegerQueryParam(request, "limit", {
+      defaultValue: 100,
+      min: 1,
+      max: 1000,
+    });
+    const offset = parseIntegerQueryParam(request, "offset", {
+      defaultValue: 0,
+      min: 0,
+      max: Number.MAX_SAFE_INTEGER,
+    });
+    const result = project.db.listNodeEdges({ nodeId: node.id, direction, kinds, limit, offset });
+
+    return {
+      nodeId: node.id,
+      direction,
+      kinds,
+      limit,
+      offset,
+      total: result.total,
+      count: result.edges.length,
+      edges: result.edges.map(toNodeEdge),
+    };
+  });
+
+  app.get("/cpg/functions/:id/cfg", async (request) => {
+    const project = resolveProject(request, app);
+    const functionId = request.params.id;
+    const detail = project.db.getFunctionDetail(functionId);
+    if (!detail) {
+      throw app.httpErrors.notFound(`Function not found: ${functionId}`);
+    }
+
+    const requestedKinds = parseListQueryParam(request, app, "kind", null);
+    const edgeKinds = requestedKinds.length > 0 ? requestedKinds : DEFAULT_CFG_EDGE_KINDS;
+    const knownKinds = new Set(project.db.listKindCounts().edgeKinds.map((entry) => entry.kind));
+    const cfg = computeFunctionCfg(project.db, functionId, edgeKinds);
+
+    return {
+      functionId,
+      name: detail.name,
+      file: detail.file,
+      line: detail.line,
+      endLine: detail.end_line,
+      edgeKinds,
+      missingEdgeKinds: edgeKinds.filter((kind) => !knownKinds.has(kind)),
+      cyclomaticComplexity: cfg.cyclomaticComplexity,
+      entryBlockIds: cfg.entryBlockIds,
+      exitBlockIds: cfg.exitBlockIds,
+      blockCount: cfg.blocks.length,
+      edgeCount: cfg.edges.length,
+      blocks: cfg.blocks,
+      edges: cfg.edges,
+    };
+  });
+
+  app.get("/annotations/bookmarks", async (request) => {
+    const project = resolveProject(request, app);
+    const bookmarks = project.annotationStore.listBookmarks();
+
+    return {
+      persistent: project.annotationStore.persistent,
+      count: bookmarks.length,
+      bookmarks,
+    };
+  });
+
+  app.post("/annotations/bookmarks", async (request, reply) => {
+    const project = resolveProject(request, app);
+    const body = getRequestBody(request);
+    const target = resolveAnnotationTarget(app, project, body);
+    const label =
+      body.label === undefined
+        ? ""
+        : requireBodyText(app, body, "label", { maxLength: MAX_LABEL_LENGTH, allowEmpty: true });
+
+    reply.code(201);
+    return project.annotationStore.createBookmark({ ...target, label });
+  });
+
+  app.patch("/annotations/bookmarks/:id", async (request) => {
+    const project = resolveProject(request, app);
+    const id = parseIdParam(request, app);
+    if (!project.annotationStore.getBookmark(id)) {
+      throw app.httpErrors.notFound(`Bookmark not found: ${id}`);
+    }
+
+    const label = requireBodyText(app, getRequestBody(request), "label", {
+      maxLength: MAX_LABEL_LENGTH,
+      allowEmpty: true,
+    });
+    return project.annotationStore.updateBookmark(id, { label });
+  });
+
+  app.delete("/annotations/bookmarks/:id", async (request) => {
+    const project = resolveProject(request, app);
+    const id = parseIdParam(request, app);
+    if (!project.annotationStore.deleteBookmark(id)) {
+      throw app.httpErrors.notFound(`Bookmark not found: ${id}`);
+    }
+    return { id, deleted: true };
+  });
+
+  app.get("/annotations/notes", async (request) => {
+    const project = resolveProject(request, app);
+    const functionId =
+      typeof request.query.functionId === "string" && request.query.functionId.trim() !== ""
+        ? request.query.functionId.trim()
+        : null;
+    const fileRequested =
+      typeof request.query.file === "string" && request.query.file.trim() !== ""
+        ? request.query.file.trim()
+        : null;
+    const file = fileRequested
+      ? project.db.resolveSourceFilePath(fileRequested) || fileRequested
+      : null;
+    const notes = project.annotationStore.listNotes({ functionId, file });
+
+    return {
+      functionId,
+      file,
+      persistent: project.annotationStore.persistent,
+      count: notes.length,
+      notes,
+    };
+  });
+
+  app.post("/annotations/notes", async (request, reply) => {
+    const project = resolveProject(request, app);
+    const body = getRequestBody(request);
+    const target = resolveAnnotationTarget(app, project, body);
+    const text = requireBodyText(app, body, "text", { maxLength: MAX_NOTE_LENGTH });
+
+    reply.code(201);
+    return project.annotationStore.createNote({ ...target, text });
+  });
+
+  app.patch("/annotations/notes/:id", async (request) => {
+    const project = resolveProject(request, app);
+    const id = parseIdParam(request, app);
+    if (!project.annotationStore.getNote(id)) {
+      throw app.httpErrors.notFound(`Note not found: ${id}`);
+    }
+
+    const text = requireBodyText(app, getRequestBody(request), "text", {
+      maxLength: MAX_NOTE_LENGTH,
+    });
+    return project.annotationStore.updateNote(id, { text });
+  });
+
+  app.delete("/annotations/notes/:id", async (request) => {
+    const project = resolveProject(request, app);
+    const id = parseIdParam(request, app);
+    if (!project.annotationStore.deleteNote(id)) {
+      throw app.httpErrors.notFound(`Note not found: ${id}`);
+    }
+    return { id, deleted: true };
+  });
+
+  app.get("/annotations/views", async (request) => {
+    const project = resolveProject(request, app);
+    const views = project.annotationStore.listViews();
+
+    return {
+      persistent: project.annotationStore.persistent,
+      count: views.length,
+      views,
+    };
+  });
+
+  app.get("/annotations/views/:id", async (request) => {
+    const project = resolveProject(request, app);
+    const id = parseIdParam(request, app);
+    const view = project.annotationStore.getView(id);
+    if (!view) {
+      throw app.httpErrors.notFound(`Saved view not found: ${id}`);
+    }
+    return view;
+  });
+
+  app.post("/annotations/views", async (request, reply) => {
+    const project = resolveProject(request, app);
+    const view = parseSavedViewBody(app, project, getRequestBody(request));
+    const created = saveViewOrConflict(
+      app,
+      () => project.annotationStore.createView(view),
+      view.name,
+    );
+
+    reply.code(201);
+    return created;
+  });
+
+  app.put("/annotations/views/:id", async (request) => {
+    const project = resolveProject(request, app);
+    const id = parseIdParam(request, app);
+    if (!project.annotationStore.getView(id)) {
+      throw app.httpErrors.notFound(`Saved view not found: ${id}`);
+    }
+
+    const view = parseSavedViewBody(app, project, getRequestBody(request));
+    return saveViewOrConflict(app, () => project.annotationStore.updateView(id, view), view.name);
+  });
+
+  app.delete("/annotations/views/:id", async (request) => {
+    const project = resolveProject(request, app);
+    const id = parseIdParam(request, app);
+    if (!project.annotationStore.deleteView(id)) {
+      throw app.httpErrors.notFound(`Saved view not found: ${id}`);
+    }
+    return { id, deleted: true };
+  });
+
   app.get("/", async () => {
     return {
       name: "CallGraphExplorer Fastify backend",
       endpoints: [
         "/health",
         "/health/db",
+        "/projects",
+        "/diff?base=<project>&head=<project>",
+        "/diff/function?base=<project>&head=<project>&functionId=<id>",
         "/queries",
-        "/call-graph/search?q=<query>",
+        "POST /queries/run",
+        "/call-graph/search?q=<query>&kind=<function,method,type,field>&package=<name>&path=<prefix>",
+        "/search/code?q=<text>&mode=<literal|regex|word>&path=<prefix>&package=<name>",
         "/call-graph/function-detail?functionId=<id>",
         "/call-graph/source?functionId=<id>",
         "/call-graph/files?path=<dir>",
         "/call-graph/file?file=<path>",
         "/call-graph/file-functions?file=<path>",
+        "/call-graph/file-references?file=<path>",
+        "/call-graph/definition?file=<path>&line=<n>&col=<n>",
+        "/call-graph/references?nodeId=<id>&limit=<n>",
         "/call-graph/neighborhood?functionId=<id>",
-        "/call-graph/call-chain?functionId=<id>",
-        "/call-graph/callers?functionId=<id>",
-        "/call-graph/path?startFunctionId=<id>&endFunctionId=<id>",
+        "/call-graph/call-chain?functionId=<id>&maxDepth=<n>&limit=<n>&offset=<n>",
+        "/call-graph/callers?functionId=<id>&maxDepth=<n>&limit=<n>&offset=<n>",
+        "/call-graph/subgraph?functionId=<id>&up=<n>&down=<n>&limit=<n>",
+        "GET|POST /call-graph/export?functionId=<id>&format=<dot|graphml|mermaid|jgf>&up=<n>&down=<n>",
+        "POST /call-graph/impact",
+        "POST /dataflow/trace",
+        "/metrics/top?metric=<metric>&package=<name>&limit=<n>&offset=<n>",
+        "/call-graph/interfaces?q=<text>&package=<name>",
+        "/call-graph/implementers?interfaceId=<id>",
+        "/call-graph/cycles?minSize=<n>&package=<name>&limit=<n>&offset=<n>",
+        "/call-graph/packages?includeExternal=<none|stdlib|all>",
+        "/call-graph/packages/expand?package=<name>&includeExternal=<none|stdlib|all>",
+        "/call-graph/dead-code?roots=<kinds>&format=<json|csv>",
+        "/call-graph/path?startFunctionId=<id>&endFunctionId=<id>&mode=<shortest|k-shortest|all>&k=<n>&maxLength=<n>",
+        "GET|POST /architecture/check?rule=<names>&severity=<error|warning>&limit=<n>",
+        "/cpg/kinds",
+        "/cpg/nodes/<id>",
+        "/cpg/nodes/<id>/edges?direction=<in|out>&kind=<kinds>&limit=<n>&offset=<n>",
+        "/cpg/functions/<id>/cfg?kind=<kinds>",
+        "GET|POST /annotations/bookmarks",
+        "PATCH|DELETE /annotations/bookmarks/<id>",
+        "GET /annotations/notes?functionId=<id>&file=<path>",
+        "POST /annotations/notes",
+        "PATCH|DELETE /annotations/notes/<id>",
+        "GET|POST /annotations/views",
+        "GET|PUT|DELETE /annotations/views/<id>",
       ],
     };
   });
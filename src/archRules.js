@@ -0,0 +1,261 @@
+const fs = require("node:fs");
+const YAML = require("yaml");
+const { createSymbolMatcher } = require("./dataFlow");
+
+const RULE_SEVERITIES = ["error", "warning"];
+const RULE_KEYS = [
+  "name",
+  "description",
+  "severity",
+  "from",
+  "to",
+  "allow",
+  "except",
+  "transitive",
+];
+const SELECTOR_KEYS = ["package", "function"];
+
+function createRulesError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function compilePackagePattern(pattern) {
+  const trimmed = String(pattern).trim();
+  const recursive = trimmed.endsWith("/...");
+  const source = (recursive ? trimmed.slice(0, -"/...".length) : trimmed)
+    .split("**")
+    .map((part) => part.split("*").map(escapeRegExp).join("[^/]*"))
+    .join(".*");
+  return new RegExp(`^(?:.*/)?${source}${recursive ? "(?:/.*)?" : ""}$`);
+}
+
+function toPatternList(value, where) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || list.some((entry) => typeof entry !== "string" || !entry.trim())) {
+    throw createRulesError("RULES_INVALID", `${where} must be a pattern or a list of patterns`);
+  }
+  return list.map((entry) => entry.trim());
+}
+
+function parseSelector(raw, where) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw createRulesError("RULES_INVALID", `${where} must be an object`);
+  }
+  const unknown = Object.keys(raw).filter((key) => !SELECTOR_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw createRulesError("RULES_INVALID", `${where} has unknown keys: ${unknown.join(", ")}`);
+  }
+  if (raw.package === undefined && raw.function === undefined) {
+    throw createRulesError("RULES_INVALID", `${where} needs "package" or "function"`);
+  }
+
+  return {
+    package: raw.package === undefined ? null : toPatternList(raw.package, `${where}.package`),
+    function: raw.function === undefined ? null : toPatternList(raw.function, `${where}.function`),
+  };
+}
+
+function parseRules(document) {
+  const rawRules = Array.isArray(document) ? document : document && document.rules;
+  if (!Array.isArray(rawRules)) {
+    throw createRulesError("RULES_INVALID", 'Rules must be a list or an object with "rules"');
+  }
+
+  const names = new Set();
+  return rawRules.map((raw, index) => {
+    const where = `Rule ${index}`;
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      throw createRulesError("RULES_INVALID", `${where} must be an object`);
+    }
+    const unknown = Object.keys(raw).filter((key) => !RULE_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw createRulesError("RULES_INVALID", `${where} has unknown keys: ${unknown.join(", ")}`);
+    }
+    if (typeof raw.name !== "string" || !raw.name.trim()) {
+      throw createRulesError("RULES_INVALID", `${where} needs a "name"`);
+    }
+    const name = raw.name.trim();
+    if (names.has(name)) {
+      throw createRulesError("RULES_INVALID", `Duplicate rule name: ${name}`);
+    }
+    names.add(name);
+
+    const severity = raw.severity === undefined ? "error" : raw.severity;
+    if (!RULE_SEVERITIES.includes(severity)) {
+      throw createRulesError(
+        "RULES_INVALID",
+        `Rule "${name}" severity must be one of: ${RULE_SEVERITIES.join(", ")}`,
+      );
+    }
+    const type = raw.allow === undefined ? "forbid" : "allow";
+    if (type === "forbid" && raw.to === undefined) {
+      throw createRulesError("RULES_INVALID", `Rule "${name}" needs a "to" or "allow" selector`);
+    }
+    if (type === "allow" && raw.from === undefined) {
+      throw createRulesError("RULES_INVALID", `Rule "${name}" needs a "from" selector`);
+    }
+
+    return {
+      name,
+      description: typeof raw.description === "string" ? raw.description : null,
+      severity,
+      type,
+      from: raw.from === undefined ? null : parseSelector(raw.from, `Rule "${name}" from`),
+      to: raw.to === undefined ? null : parseSelector(raw.to, `Rule "${name}" to`),
+      allow: type === "allow" ? parseSelector(raw.allow, `Rule "${name}" allow`) : null,
+      except: raw.except === undefined ? null : parseSelector(raw.except, `Rule "${name}" except`),
+      transitive: raw.transitive === true,
+    };
+  });
+}
+
+function parseRulesText(text) {
+  let document;
+  try {
+    document = YAML.parse(String(text));
+  } catch (err) {
+    throw createRulesError("RULES_INVALID", `Rules file is not valid YAML or JSON: ${err.message}`);
+  }
+  return parseRules(document);
+}
+
+function loadRulesFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      throw createRulesError("RULES_NOT_FOUND", `Rules file not found: ${filePath}`);
+    }
+    throw err;
+  }
+  return parseRulesText(text);
+}
+
+function compileSelector(selector) {
+  const packages = selector.package ? selector.package.map(compilePackagePattern) : null;
+  const matchFunction = selector.function ? createSymbolMatcher(selector.function) : null;
+
+  return (node) =>
+    (!packages ||
+      packages.some((regex) => regex.test(String(node.package || node.module || "")))) &&
+    (!matchFunction || Boolean(matchFunction(node)));
+}
+
+function createTargetMatcher(rule) {
+  if (rule.type === "forbid") {
+    return compileSelector(rule.to);
+  }
+
+  const isChecked = rule.to ? compileSelector(rule.to) : (node) => node.origin === "local";
+  const isAllowed = compileSelector(rule.allow);
+  return (node) => isChecked(node) && !isAllowed(node);
+}
+
+function findRuleViolations(callGraph, rule, limit) {
+  const isSource = rule.from ? compileSelector(rule.from) : (node) => node.origin === "local";
+  const isTarget = createTargetMatcher(rule);
+  const isExempt = rule.except ? compileSelector(rule.except) : () => false;
+  const sources = callGraph
+    .listNodes()
+    .filter((node) => isSource(node) && !isExempt(node))
+    .map((node) => node.id);
+  const paths = [];
+  let truncated = false;
+
+  if (!rule.transitive) {
+    for (const callerId of sources) {
+      for (const calleeId of callGraph.listCallees(callerId)) {
+        if (!isTarget(callGraph.getNode(calleeId))) {
+          continue;
+        }
+        if (paths.length >= limit) {
+          return { paths, truncated: true };
+        }
+        paths.push([callerId, calleeId]);
+      }
+    }
+    return { paths, truncated };
+  }
+
+  const previous = new Map(sources.map((id) => [id, null]));
+  const queue = [...sources];
+  for (let head = 0; head < queue.length && !truncated; head += 1) {
+    for (const calleeId of callGraph.listCallees(queue[head])) {
+      const callee = callGraph.getNode(calleeId);
+      if (previous.has(calleeId) || isExempt(callee)) {
+        continue;
+      }
+      previous.set(calleeId, queue[head]);
+      if (!isTarget(callee)) {
+        queue.push(calleeId);
+        continue;
+      }
+
+      if (paths.length >= limit) {
+        truncated = true;
+        break;
+      }
+      const path = [];
+      for (let current = calleeId; current !== null; current = previous.get(current)) {
+        path.push(current);
+      }
+      paths.push(path.reverse());
+    }
+  }
+  return { paths, truncated };
+}
+
+function evaluateRules(callGraph, rules, { limit }) {
+  const results = rules.map((rule) => {
+    const { paths, truncated } = findRuleViolations(callGraph, rule, limit);
+    return {
+      rule,
+      truncated,
+      violations: paths.map((ids) => {
+        const path = callGraph.expandPath(ids);
+        return {
+          rule: rule.name,
+          severity: rule.severity,
+          caller: path[0],
+          callee: path[path.length - 1],
+          length: path.length - 1,
+          dynamic: path.some((node) => node.dynamic === true),
+          path,
+        };
+      }),
+    };
+  });
+  const violations = results.flatMap((result) => result.violations);
+
+  return {
+    ruleCount: rules.length,
+    violationCount: violations.length,
+    errorCount: violations.filter((violation) => violation.severity === "error").length,
+    warningCount: violations.filter((violation) => violation.severity === "warning").length,
+    rules: results.map(({ rule, truncated, violations: ruleViolations }) => ({
+      name: rule.name,
+      description: rule.description,
+      severity: rule.severity,
+      type: rule.type,
+      transitive: rule.transitive,
+      violationCount: ruleViolations.length,
+      truncated,
+    })),
+    violations,
+  };
+}
+
+module.exports = {
+  RULE_SEVERITIES,
+  evaluateRules,
+  loadRulesFile,
+  parseRules,
+  parseRulesText,
+};
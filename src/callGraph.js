@@ -0,0 +1,604 @@
+const { buildDispatchIndex } = require("./dispatch");
+const { classifyNode } = require("./nodeOrigin");
+
+const EMPTY_ADJACENCY = new Map();
+
+function createNodeStub(id) {
+  const raw = String(id);
+  const name = raw.replace(/^ext::/, "").split(".").pop() || raw;
+
+  const node = {
+    id: raw,
+    name,
+    package: null,
+    file: null,
+    line: null,
+    end_line: null,
+  };
+  const { origin, module } = classifyNode(node);
+  return { ...node, origin, module };
+}
+
+function findStronglyConnectedComponents(nodeIds, neighborsOf) {
+  const indexById = new Map();
+  const lowLinkById = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let nextIndex = 0;
+
+  for (const rootId of nodeIds) {
+    if (indexById.has(rootId)) {
+      continue;
+    }
+
+    const frames = [{ id: rootId, neighbors: neighborsOf(rootId)[Symbol.iterator]() }];
+    indexById.set(rootId, nextIndex);
+    lowLinkById.set(rootId, nextIndex);
+    nextIndex += 1;
+    stack.push(rootId);
+    onStack.add(rootId);
+
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1];
+      const next = frame.neighbors.next();
+
+      if (!next.done) {
+        const neighborId = next.value;
+        if (!indexById.has(neighborId)) {
+          indexById.set(neighborId, nextIndex);
+          lowLinkById.set(neighborId, nextIndex);
+          nextIndex += 1;
+          stack.push(neighborId);
+          onStack.add(neighborId);
+          frames.push({ id: neighborId, neighbors: neighborsOf(neighborId)[Symbol.iterator]() });
+        } else if (onStack.has(neighborId)) {
+          lowLinkById.set(frame.id, Math.min(lowLinkById.get(frame.id), indexById.get(neighborId)));
+        }
+        continue;
+      }
+
+      frames.pop();
+      if (frames.length > 0) {
+        const parentId = frames[frames.length - 1].id;
+        lowLinkById.set(parentId, Math.min(lowLinkById.get(parentId), lowLinkById.get(frame.id)));
+      }
+
+      if (lowLinkById.get(frame.id) === indexById.get(frame.id)) {
+        const component = [];
+        let memberId;
+        do {
+          memberId = stack.pop();
+          onStack.delete(memberId);
+          component.push(memberId);
+        } while (memberId !== frame.id);
+        components.push(component);
+      }
+    }
+  }
+
+  return components;
+}
+
+function buildCallGraphIndex(functionRows, edgeRows) {
+  const nodes = new Map();
+  const outgoing = new Map();
+  const incoming = new Map();
+  let edgeCount = 0;
+  let dynamicEdgeCount = 0;
+
+  for (const row of functionRows) {
+    const { origin, module } = classifyNode(row);
+    nodes.set(row.id, {
+      id: row.id,
+      name: row.name,
+      package: row.package,
+      file: row.file,
+      line: row.line,
+      end_line: row.end_line,
+      origin,
+      module,
+    });
+  }
+
+  function ensureNode(id) {
+    if (!nodes.has(id)) {
+      nodes.set(id, createNodeStub(id));
+    }
+  }
+
+  function ensureAdjacency(map, id) {
+    if (!map.has(id)) {
+      map.set(id, new Map());
+    }
+    return map.get(id);
+  }
+
+  for (const row of edgeRows) {
+    if (!row.caller_id || !row.callee_id) {
+      continue;
+    }
+
+    ensureNode(row.caller_id);
+    ensureNode(row.callee_id);
+
+    const callees = ensureAdjacency(outgoing, row.caller_id);
+    let edge = callees.get(row.callee_id);
+    if (!edge) {
+      edge = { caller: row.caller_id, callee: row.callee_id, lines: [], dynamic: true };
+      callees.set(row.callee_id, edge);
+      ensureAdjacency(incoming, row.callee_id).set(row.caller_id, edge);
+      edgeCount += 1;
+    }
+    if (!row.dynamic) {
+      edge.dynamic = false;
+    }
+
+    if (Number.isInteger(row.call_line) && !edge.lines.includes(row.call_line)) {
+      edge.lines.push(row.call_line);
+    }
+  }
+
+  function* iterateEdges() {
+    for (const callees of outgoing.values()) {
+      yield* callees.values();
+    }
+  }
+
+  for (const edge of iterateEdges()) {
+    edge.lines.sort((left, right) => left - right);
+    if (edge.dynamic) {
+      dynamicEdgeCount += 1;
+    }
+  }
+
+  function adjacencyOf(id, direction) {
+    const map = direction === "callers" ? incoming : outgoing;
+    return map.get(id) || EMPTY_ADJACENCY;
+  }
+
+  function hasCycle(nodeIds, direction) {
+    const inDegree = new Map();
+    for (const id of nodeIds) {
+      inDegree.set(id, 0);
+    }
+
+    for (const id of nodeIds) {
+      for (const neighborId of adjacencyOf(id, direction).keys()) {
+        if (inDegree.has(neighborId)) {
+          inDegree.set(neighborId, inDegree.get(neighborId) + 1);
+        }
+      }
+    }
+
+    const queue = [];
+    for (const [id, degree] of inDegree.entries()) {
+      if (degree === 0) {
+        queue.push(id);
+      }
+    }
+
+    let visited = 0;
+    for (let head = 0; head < queue.length; head += 1) {
+      visited += 1;
+      for (const neighborId of adjacencyOf(queue[head], direction).keys()) {
+        if (!inDegree.has(neighborId)) {
+          continue;
+        }
+        const degree = inDegree.get(neighborId) - 1;
+        inDegree.set(neighborId, degree);
+        if (degree === 0) {
+          queue.push(neighborId);
+        }
+      }
+    }
+
+    return visited < inDegree.size;
+  }
+
+  function traverse(startId, direction, { maxDepth = null, nodeFilter = null } = {}) {
+    const depths = new Map([[startId, 0]]);
+    const queue = [startId];
+    const reached = [];
+    let depthLimited = false;
+
+    for (let head = 0; head < queue.length; head += 1) {
+      const currentId = queue[head];
+      const depth = depths.get(currentId);
+
+      for (const [neighborId, edge] of adjacencyOf(currentId, direction).entries()) {
+        if (depths.has(neighborId)) {
+          continue;
+        }
+        if (nodeFilter && !nodeFilter(nodes.get(neighborId))) {
+          continue;
+        }
+        if (maxDepth !== null && depth >= maxDepth) {
+          depthLimited = true;
+          continue;
+        }
+
+        depths.set(neighborId, depth + 1);
+        queue.push(neighborId);
+        reached.push({ ...nodes.get(neighborId), depth: depth + 1, dynamic: edge.dynamic });
+      }
+    }
+
+    return {
+      nodes: reached,
+      depthLimited,
+      cycleDetected: hasCycle(Array.from(depths.keys()), direction),
+    };
+  }
+
+  function neighborhood(id) {
+    const result = [];
+
+    for (const [callerId, edge] of adjacencyOf(id, "callers").entries()) {
+      result.push({
+        ...nodes.get(callerId),
+        direction: "caller",
+        callLines: edge.lines,
+        dynamic: edge.dynamic,
+      });
+    }
+    for (const [calleeId, edge] of adjacencyOf(id, "callees").entries()) {
+      result.push({
+        ...nodes.get(calleeId),
+        direction: "callee",
+        callLines: edge.lines,
+        dynamic: edge.dynamic,
+      });
+    }
+
+    return result;
+  }
+
+  function subgraph(focusId, { up, down, limit, nodeFilter = null, nodeIds = null }) {
+    const callers = traverse(focusId, "callers", { maxDepth: up, nodeFilter }).nodes;
+    const callees = traverse(focusId, "callees", { maxDepth: down, nodeFilter }).nodes;
+    const reached = [
+      ...callers.map((node) => ({ ...node, relation: "caller" })),
+      ...callees.map((node) => ({ ...node, relation: "callee" })),
+    ].sort((left, right) => left.depth - right.depth);
+
+    const selected = new Map([[focusId, { ...nodes.get(focusId), relation: "focus", depth: 0 }]]);
+    for (const node of reached) {
+      const existing = selected.get(node.id);
+      if (existing) {
+        if (existing.relation !== "focus" && existing.relation !== node.relation) {
+          existing.relation = "both";
+        }
+        continue;
+      }
+      selected.set(node.id, node);
+    }
+
+    const candidates = Array.from(selected.values()).filter(
+      (node) => !nodeIds || node.id === focusId || nodeIds.has(node.id),
+    );
+    const total = candidates.length;
+    const keptNodes = candidates.slice(0, limit);
+    const keptIds = new Set(keptNodes.map((node) => node.id));
+    const edges = [];
+
+    for (const callerId of keptIds) {
+      for (const [calleeId, edge] of adjacencyOf(callerId, "callees").entries()) {
+        if (keptIds.has(calleeId)) {
+          edges.push({
+            id: `${callerId}->${calleeId}`,
+            source: callerId,
+            target: calleeId,
+            callLines: edge.lines,
+            dynamic: edge.dynamic,
+          });
+        }
+      }
+    }
+
+    return {
+      total,
+      truncated: total > keptNodes.length,
+      nodes: keptNodes,
+      edges,
+    };
+  }
+
+  function edgeKey(callerId, calleeId) {
+    return `${callerId}\u0000${calleeId}`;
+  }
+
+  function bfsPath(
+    startId,
+    endId,
+    { maxLength = null, blockedNodes = null, blockedEdges = null, nodeFilter = null } = {},
+  ) {
+    const previous = new Map([[startId, null]]);
+    const depths = new Map([[startId, 0]]);
+    const queue = [startId];
+    let limited = false;
+
+    for (let head = 0; head < queue.length && !previous.has(endId); head += 1) {
+      const currentId = queue[head];
+      const depth = depths.get(currentId);
+
+      for (const neighborId of adjacencyOf(currentId, "callees").keys()) {
+        if (previous.has(neighborId)) {
+          continue;
+        }
+        if (blockedNodes && blockedNodes.has(neighborId)) {
+          continue;
+        }
+        if (nodeFilter && neighborId !== endId && !nodeFilter(nodes.get(neighborId))) {
+          continue;
+        }
+        if (blockedEdges && blockedEdges.has(edgeKey(currentId, neighborId))) {
+          continue;
+        }
+        if (maxLength !== null && depth >= maxLength) {
+          limited = true;
+          continue;
+        }
+
+        previous.set(neighborId, currentId);
+        depths.set(neighborId, depth + 1);
+        queue.push(neighborId);
+      }
+    }
+
+    if (!previous.has(endId)) {
+      return { path: null, limited };
+    }
+
+    const path = [];
+    for (let id = endId; id !== null; id = previous.get(id)) {
+      path.unshift(id);
+    }
+    return { path, limited: false };
+  }
+
+  function isReachable(startId, endId, { nodeFilter = null } = {}) {
+    return bfsPath(startId, endId, { nodeFilter }).path !== null;
+  }
+
+  function shortestPath(startId, endId, { maxLength = null, nodeFilter = null } = {}) {
+    const result = bfsPath(startId, endId, { maxLength, nodeFilter });
+
+    return {
+      paths: result.path ? [result.path] : [],
+      limited: result.limited,
+    };
+  }
+
+  function kShortestPaths(startId, endId, { k, maxLength = null, nodeFilter = null }) {
+    const first = bfsPath(startId, endId, { maxLength, nodeFilter });
+    if (!first.path) {
+      return { paths: [], limited: first.limited };
+    }
+
+    const accepted = [first.path];
+    const seen = new Set([first.path.join("\u0000")]);
+    const candidates = [];
+    let limited = false;
+
+    while (accepted.length < k) {
+      const previousPath = accepted[accepted.length - 1];
+
+      for (let spurIndex = 0; spurIndex < previousPath.length - 1; spurIndex += 1) {
+        const spurId = previousPath[spurIndex];
+        const rootPath = previousPath.slice(0, spurIndex + 1);
+        const blockedEdges = new Set();
+
+        for (const path of accepted) {
+          const sharesRoot =
+            path.length > spurIndex + 1 && rootPath.every((id, index) => path[index] === id);
+          if (sharesRoot) {
+            blockedEdges.add(edgeKey(path[spurIndex], path[spurIndex + 1]));
+          }
+        }
+
+        const spur = bfsPath(spurId, endId, {
+          maxLength: maxLength === null ? null : maxLength - spurIndex,
+          blockedNodes: new Set(rootPath.slice(0, -1)),
+          blockedEdges,
+          nodeFilter,
+        });
+        limited = limited || spur.limited;
+        if (!spur.path) {
+          continue;
+        }
+
+        const candidate = [...rootPath.slice(0, -1), ...spur.path];
+        const key = candidate.join("\u0000");
+        if (!seen.has(key)) {
+          seen.add(key);
+          candidates.push(candidate);
+        }
+      }
+
+      if (candidates.length === 0) {
+        break;
+      }
+
+      candidates.sort((left, right) => left.length - right.length);
+      accepted.push(candidates.shift());
+    }
+
+    return {
+      paths: accepted,
+      limited: limited && accepted.length < k,
+    };
+  }
+
+  function allSimplePaths(startId, endId, { maxLength, limit, maxSteps, nodeFilter = null }) {
+    const distanceToEnd = new Map([[endId, 0]]);
+    const queue = [endId];
+    for (let head = 0; head < queue.length; head += 1) {
+      const currentId = queue[head];
+      const distance = distanceToEnd.get(currentId);
+      if (distance >= maxLength) {
+        continue;
+      }
+      for (const callerId of adjacencyOf(currentId, "callers").keys()) {
+        if (nodeFilter && callerId !== startId && !nodeFilter(nodes.get(callerId))) {
+          continue;
+        }
+        if (!distanceToEnd.has(callerId)) {
+          distanceToEnd.set(callerId, distance + 1);
+          queue.push(callerId);
+        }
+      }
+    }
+
+    const paths = [];
+    const current = [];
+    const onPath = new Set();
+    let steps = 0;
+    let limited = false;
+
+    function visit(id) {
+      if (paths.length >= limit || steps >= maxSteps) {
+        limited = true;
+        return;
+      }
+      steps += 1;
+      current.push(id);
+      onPath.add(id);
+
+      if (id === endId) {
+        paths.push([...current]);
+      } else {
+        for (const neighborId of adjacencyOf(id, "callees").keys()) {
+          const distance = distanceToEnd.get(neighborId);
+          if (onPath.has(neighborId) || distance === undefined) {
+            continue;
+          }
+          if (distance > maxLength - current.length) {
+            continue;
+          }
+          visit(neighborId);
+        }
+      }
+
+      current.pop();
+      onPath.delete(id);
+    }
+
+    if (distanceToEnd.has(startId)) {
+      visit(startId);
+    }
+
+    return {
+      paths: paths.sort((left, right) => left.length - right.length),
+      limited,
+    };
+  }
+
+  let recursion = null;
+
+  function getRecursion() {
+    if (!recursion) {
+      const components = findStronglyConnectedComponents(Array.from(nodes.keys()), (id) =>
+        adjacencyOf(id, "callees").keys(),
+      )
+        .filter(
+          (component) =>
+            component.length > 1 || adjacencyOf(component[0], "callees").has(component[0]),
+        )
+        .map((component) => component.sort())
+        .sort((left, right) => right.length - left.length || left[0].localeCompare(right[0]));
+
+      const componentIndexById = new Map();
+      components.forEach((component, index) => {
+        for (const id of component) {
+          componentIndexById.set(id, index);
+        }
+      });
+      recursion = { components, componentIndexById };
+    }
+    return recursion;
+  }
+
+  function listRecursiveComponents() {
+    return getRecursion().components.map((component, index) => ({
+      index,
+      selfRecursive: component.length === 1,
+      functions: component.map((id) => nodes.get(id)),
+    }));
+  }
+
+  function getRecursionInfo(id) {
+    const { components, componentIndexById } = getRecursion();
+    if (!componentIndexById.has(id)) {
+      return { recursive: false, selfRecursive: false, cycleIndex: null, cycleSize: 0 };
+    }
+
+    const cycleIndex = componentIndexById.get(id);
+    return {
+      recursive: true,
+      selfRecursive: adjacencyOf(id, "callees").has(id),
+      cycleIndex,
+      cycleSize: components[cycleIndex].length,
+    };
+  }
+
+  function expandPath(ids) {
+    return ids.map((id, index) => {
+      const node = { ...nodes.get(id) };
+      if (index > 0) {
+        const edge = adjacencyOf(ids[index - 1], "callees").get(id);
+        node.callLines = edge ? edge.lines : [];
+        node.dynamic = edge ? edge.dynamic : false;
+      }
+      return node;
+    });
+  }
+
+  return {
+    nodeCount: nodes.size,
+    edgeCount,
+    dynamicEdgeCount,
+    listNodes: () => Array.from(nodes.values()),
+    listEdges: () => Array.from(iterateEdges()),
+    hasFunction: (id) => nodes.has(id),
+    getNode: (id) => nodes.get(id) || null,
+    getEdge: (callerId, calleeId) => adjacencyOf(callerId, "callees").get(calleeId) || null,
+    listCallees: (id) => Array.from(adjacencyOf(id, "callees").keys()),
+    listCallers: (id) => Array.from(adjacencyOf(id, "callers").keys()),
+    neighborhood,
+    traverse,
+    subgraph,
+    isReachable,
+    shortestPath,
+    kShortestPaths,
+    allSimplePaths,
+    expandPath,
+    listRecursiveComponents,
+    getRecursionInfo,
+  };
+}
+
+function buildProjectCallGraphs(db) {
+  const functionRows = db.listFunctionNodes();
+  const callEdgeRows = db.listCallEdges();
+  const dispatchIndex = buildDispatchIndex({
+    functionRows,
+    interfaceMethodRows: db.listInterfaceMethods(),
+    interfaceEmbedRows: db.listInterfaceEmbeds(),
+    callEdgeRows,
+  });
+  const nodeRows = [...functionRows, ...dispatchIndex.methodSpecRows];
+  const staticCallGraph = buildCallGraphIndex(nodeRows, callEdgeRows);
+  const callGraph =
+    dispatchIndex.dynamicEdgeRows.length > 0
+      ? buildCallGraphIndex(nodeRows, [...callEdgeRows, ...dispatchIndex.dynamicEdgeRows])
+      : staticCallGraph;
+
+  return { dispatchIndex, staticCallGraph, callGraph };
+}
+
+module.exports = {
+  buildCallGraphIndex,
+  buildProjectCallGraphs,
+  findStronglyConnectedComponents,
+};
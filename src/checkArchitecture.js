@@ -0,0 +1,135 @@
+const path = require("node:path");
+const { parseArgs } = require("node:util");
+const { createDbClient } = require("./db");
+const { buildProjectCallGraphs } = require("./callGraph");
+const { evaluateRules, loadRulesFile } = require("./archRules");
+const { listProjectDatabases } = require("./projects");
+
+const USAGE = `Usage: node src/checkArchitecture.js [options]
+
+Options:
+  --db <path>       CPG database, directory or comma-separated list
+                    (default: $SQLITE_PATH or ../cp_graph.db)
+  --project <id>    project to check when the database setting names several
+  --rules <path>    rules file (default: $ARCHITECTURE_RULES_PATH or architecture-rules.yaml)
+  --limit <n>       violations reported per rule (default: 200)
+  --format <fmt>    text or json (default: text)
+  --help            show this message
+
+Exits with 1 when any error-severity rule is violated, and 2 when the check cannot run.`;
+
+function formatName(node) {
+  return node.package && node.name ? `${node.package}.${node.name}` : node.id;
+}
+
+function formatLocation(node, line) {
+  if (!node.file) {
+    return node.id;
+  }
+  return `${node.file}:${line || node.line || "?"}`;
+}
+
+function formatTextReport(report) {
+  const lines = [];
+
+  for (const rule of report.rules) {
+    const status = rule.violationCount === 0 ? "ok" : rule.severity;
+    lines.push(
+      `[${status}] ${rule.name}: ${rule.violationCount} violation${
+        rule.violationCount === 1 ? "" : "s"
+      }${rule.truncated ? " (truncated)" : ""}`,
+    );
+    if (rule.description && rule.violationCount > 0) {
+      lines.push(`  ${rule.description}`);
+    }
+
+    for (const violation of report.violations.filter((entry) => entry.rule === rule.name)) {
+      lines.push(`  ${violation.path.map(formatName).join(" -> ")}`);
+      violation.path.slice(1).forEach((node, index) => {
+        const caller = violation.path[index];
+        lines.push(`    ${formatLocation(caller, node.callLines[0])} calls ${node.id}`);
+      });
+    }
+  }
+
+  lines.push(
+    `${report.ruleCount} rules, ${report.errorCount} errors, ${report.warningCount} warnings`,
+  );
+  return lines.join("\n");
+}
+
+function resolveProject(sqlitePathSetting, projectId) {
+  const projects = listProjectDatabases(sqlitePathSetting);
+  const ids = projects.map((project) => project.id).join(", ");
+
+  if (projects.length === 0) {
+    throw new Error("No CPG database configured, pass --db or set SQLITE_PATH");
+  }
+  if (projectId) {
+    const project = projects.find((entry) => entry.id === projectId);
+    if (!project) {
+      throw new Error(`Unknown project "${projectId}", available projects: ${ids}`);
+    }
+    return project;
+  }
+  if (projects.length > 1) {
+    throw new Error(`Several projects are configured, pick one with --project: ${ids}`);
+  }
+  return projects[0];
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      db: { type: "string" },
+      project: { type: "string" },
+      rules: { type: "string" },
+      limit: { type: "string" },
+      format: { type: "string" },
+      help: { type: "boolean" },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const format = values.format || "text";
+  const limit = values.limit === undefined ? 200 : Number(values.limit);
+  if (!["text", "json"].includes(format) || !Number.isInteger(limit) || limit < 1) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const project = resolveProject(
+    values.db || process.env.SQLITE_PATH || "../cp_graph.db",
+    values.project,
+  );
+  const rulesPath = path.resolve(
+    values.rules || process.env.ARCHITECTURE_RULES_PATH || "architecture-rules.yaml",
+  );
+  const rules = loadRulesFile(rulesPath);
+  const db = createDbClient(project.dbPath);
+
+  try {
+    const { callGraph } = buildProjectCallGraphs(db);
+    const report = {
+      project: project.id,
+      dbPath: project.dbPath,
+      rulesPath,
+      ...evaluateRules(callGraph, rules, { limit }),
+    };
+    console.log(format === "json" ? JSON.stringify(report, null, 2) : formatTextReport(report));
+    return report.errorCount > 0 ? 1 : 0;
+  } finally {
+    db.close();
+  }
+}
+
+try {
+  process.exitCode = main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 2;
+}
@@ -0,0 +1,237 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const Database = require("better-sqlite3");
+const { createForkedRunner } = require("./queryRunner");
+
+const SEARCH_MODES = ["literal", "regex", "word"];
+const INDEX_SCHEMA_VERSION = "1";
+const MIN_TRIGRAM_LENGTH = 3;
+const SEARCH_WORKER_PATH = path.join(__dirname, "codeSearchWorker.js");
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function buildMatcher(query, mode, caseSensitive) {
+  const flags = caseSensitive ? "g" : "gi";
+
+  if (mode === "regex") {
+    return new RegExp(query, flags);
+  }
+  if (mode === "word") {
+    return new RegExp(`(?<![A-Za-z0-9_])${escapeRegExp(query)}(?![A-Za-z0-9_])`, flags);
+  }
+  return new RegExp(escapeRegExp(query), flags);
+}
+
+function buildSourceFilter({ pathPrefix, packageName }) {
+  const clauses = [];
+  const params = [];
+
+  if (pathPrefix) {
+    clauses.push("file LIKE ? ESCAPE '\\'");
+    params.push(`${pathPrefix.replace(/[\\%_]/g, "\\$&")}%`);
+  }
+  if (packageName) {
+    clauses.push("package = ?");
+    params.push(packageName);
+  }
+
+  return { clauses, params };
+}
+
+function scanMatches(rows, { matcher, limit, offset, contextLines, maxCountedMatches }) {
+  const matches = [];
+  let total = 0;
+  let totalCapped = false;
+
+  for (const row of rows) {
+    const lines = row.content.split("\n");
+
+    for (let index = 0; index < lines.length; index += 1) {
+      const text = lines[index];
+      matcher.lastIndex = 0;
+
+      let match = matcher.exec(text);
+      while (match) {
+        if (total >= offset && matches.length < limit) {
+          const startLine = Math.max(index - contextLines, 0);
+          matches.push({
+            file: row.file,
+            package: row.package,
+            line: index + 1,
+            col: match.index + 1,
+            length: match[0].length,
+            text,
+            snippet: {
+              startLine: startLine + 1,
+              lines: lines.slice(startLine, index + contextLines + 1),
+            },
+          });
+        }
+        total += 1;
+
+        if (total >= maxCountedMatches) {
+          totalCapped = true;
+          break;
+        }
+        if (match[0].length === 0) {
+          matcher.lastIndex += 1;
+        }
+        match = matcher.exec(text);
+      }
+
+      if (totalCapped) {
+        break;
+      }
+    }
+
+    if (totalCapped) {
+      break;
+    }
+  }
+
+  return {
+    total,
+    totalCapped,
+    matches,
+  };
+}
+
+function getSourceSignature(dbPath) {
+  const stat = fs.statSync(dbPath);
+  return `${INDEX_SCHEMA_VERSION}:${stat.size}:${Math.floor(stat.mtimeMs)}`;
+}
+
+function openIndexConnection(indexPath, logger) {
+  if (indexPath !== ":memory:") {
+    try {
+      return { connection: new Database(indexPath), indexPath };
+    } catch (err) {
+      logger.warn({ err, indexPath }, "Code search index is not writable, using memory");
+    }
+  }
+  return { connection: new Database(":memory:"), indexPath: ":memory:" };
+}
+
+function createCodeSearchIndex({ dbPath, indexPath, iterateSources, logger }) {
+  const opened = openIndexConnection(indexPath || `${dbPath}.search.db`, logger);
+  const connection = opened.connection;
+
+  connection.exec(`
+    CREATE TABLE IF NOT EXISTS search_meta (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+    CREATE VIRTUAL TABLE IF NOT EXISTS code_fts USING fts5(
+      file UNINDEXED,
+      package UNINDEXED,
+      content,
+      tokenize = 'trigram'
+    );
+  `);
+
+  const signature = getSourceSignature(dbPath);
+  const storedSignature = connection
+    .prepare("SELECT value FROM search_meta WHERE key = 'source_signature'")
+    .get();
+
+  if (!storedSignature || storedSignature.value !== signature) {
+    const startedAt = Date.now();
+    const insertStatement = connection.prepare(
+      "INSERT INTO code_fts (file, package, content) VALUES (?, ?, ?)",
+    );
+    const rebuild = connection.transaction(() => {
+      connection.exec("DELETE FROM code_fts");
+      let fileCount = 0;
+      for (const row of iterateSources()) {
+        insertStatement.run(row.file, row.package, row.content || "");
+        fileCount += 1;
+      }
+      connection
+        .prepare(
+          "INSERT OR REPLACE INTO search_meta (key, value) VALUES ('source_signature', ?)",
+        )
+        .run(signature);
+      return fileCount;
+    });
+
+    const fileCount = rebuild();
+    logger.info(
+      { indexPath: opened.indexPath, files: fileCount, ms: Date.now() - startedAt },
+      "Code search index built",
+    );
+  }
+
+  function selectCandidates({ query, mode, pathPrefix, packageName }) {
+    const filter = buildSourceFilter({ pathPrefix, packageName });
+
+    if (mode !== "regex" && query.length >= MIN_TRIGRAM_LENGTH) {
+      filter.clauses.unshift("code_fts MATCH ?");
+      filter.params.unshift(`content : "${query.replace(/"/g, '""')}"`);
+    }
+
+    const where = filter.clauses.length > 0 ? `WHERE ${filter.clauses.join(" AND ")}` : "";
+    return connection
+      .prepare(`SELECT file, package, content FROM code_fts ${where} ORDER BY file`)
+      .iterate(...filter.params);
+  }
+
+  function search({
+    query,
+    mode,
+    caseSensitive,
+    pathPrefix,
+    packageName,
+    limit,
+    offset,
+    contextLines,
+    maxCountedMatches,
+  }) {
+    return scanMatches(selectCandidates({ query, mode, pathPrefix, packageName }), {
+      matcher: buildMatcher(query, mode, caseSensitive),
+      limit,
+      offset,
+      contextLines,
+      maxCountedMatches,
+    });
+  }
+
+  return {
+    indexPath: opened.indexPath,
+    search,
+    close: () => {
+      connection.close();
+    },
+  };
+}
+
+function createRegexSearchRunner({ maxRunning }) {
+  const runner = createForkedRunner({
+    workerPath: SEARCH_WORKER_PATH,
+    maxRunning,
+    errorPrefix: "SEARCH",
+    name: "Regex search",
+    label: "regex searches",
+  });
+
+  async function search({ dbPath, timeoutMs, ...options }) {
+    const result = await runner.run({ dbPath, ...options }, timeoutMs);
+    return {
+      total: result.total,
+      totalCapped: result.totalCapped,
+      matches: result.matches,
+    };
+  }
+
+  return { search };
+}
+
+module.exports = {
+  SEARCH_MODES,
+  buildMatcher,
+  buildSourceFilter,
+  createCodeSearchIndex,
+  createRegexSearchRunner,
+  scanMatches,
+};
@@ -0,0 +1,47 @@
+const Database = require("better-sqlite3");
+const { buildMatcher, buildSourceFilter, scanMatches } = require("./codeSearch");
+
+function runSearch({
+  dbPath,
+  query,
+  caseSensitive,
+  pathPrefix,
+  packageName,
+  limit,
+  offset,
+  contextLines,
+  maxCountedMatches,
+}) {
+  const connection = new Database(dbPath, { readonly: true, fileMustExist: true });
+
+  try {
+    const filter = buildSourceFilter({ pathPrefix, packageName });
+    const where = filter.clauses.length > 0 ? `WHERE ${filter.clauses.join(" AND ")}` : "";
+    const rows = connection
+      .prepare(`SELECT file, package, content FROM sources ${where} ORDER BY file`)
+      .iterate(...filter.params);
+
+    return {
+      ok: true,
+      ...scanMatches(rows, {
+        matcher: buildMatcher(query, "regex", caseSensitive),
+        limit,
+        offset,
+        contextLines,
+        maxCountedMatches,
+      }),
+    };
+  } finally {
+    connection.close();
+  }
+}
+
+process.once("message", (request) => {
+  let result;
+  try {
+    result = runSearch(request);
+  } catch (err) {
+    result = { ok: false, code: err.code || "SEARCH_INVALID", message: err.message };
+  }
+  process.send(result, () => process.exit(0));
+});
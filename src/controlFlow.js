@@ -0,0 +1,250 @@
+const DEFAULT_CFG_EDGE_KINDS = ["cfg", "cfg_true", "cfg_false"];
+const BRANCH_LABELS = ["true", "false"];
+
+const complexityCache = new WeakMap();
+
+function parseEdgeProperties(value) {
+  if (!value || typeof value !== "string") {
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function getBranchLabel(edge) {
+  const properties = parseEdgeProperties(edge.properties);
+  const raw = properties
+    ? ["label", "branch", "condition"].map((key) => properties[key]).find((value) => value != null)
+    : undefined;
+  const label =
+    raw === undefined ? String(edge.kind).split(/[_:]/).pop() : String(raw).toLowerCase();
+  return BRANCH_LABELS.includes(label) ? label : null;
+}
+
+function compareByPosition(left, right) {
+  const leftLine = Number.isInteger(left.line) ? left.line : Number.MAX_SAFE_INTEGER;
+  const rightLine = Number.isInteger(right.line) ? right.line : Number.MAX_SAFE_INTEGER;
+  return (
+    leftLine - rightLine ||
+    (left.col || 0) - (right.col || 0) ||
+    String(left.id).localeCompare(String(right.id))
+  );
+}
+
+function labelBlockEdges(edges) {
+  if (edges.length === 1) {
+    return [{ ...edges[0], label: edges[0].label || "fallthrough" }];
+  }
+
+  const known = edges.filter((edge) => edge.label).map((edge) => edge.label);
+  return edges.map((edge) => {
+    if (edge.label) {
+      return edge;
+    }
+    if (edges.length === 2 && known.length === 1) {
+      return { ...edge, label: known[0] === "true" ? "false" : "true" };
+    }
+    return { ...edge, label: "branch" };
+  });
+}
+
+function markBackEdges(blocks, edges, entryBlockIds) {
+  const outgoing = new Map(blocks.map((block) => [block.id, []]));
+  edges.forEach((edge) => outgoing.get(edge.from).push(edge));
+
+  const state = new Map();
+  const roots = [...entryBlockIds, ...blocks.map((block) => block.id)];
+
+  for (const root of roots) {
+    if (state.has(root)) {
+      continue;
+    }
+    state.set(root, "active");
+    const stack = [{ id: root, index: 0 }];
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const edge = outgoing.get(frame.id)[frame.index];
+      if (!edge) {
+        state.set(frame.id, "done");
+        stack.pop();
+        continue;
+      }
+
+      frame.index += 1;
+      if (state.get(edge.to) === "active") {
+        edge.backEdge = true;
+      } else if (!state.has(edge.to)) {
+        state.set(edge.to, "active");
+        stack.push({ id: edge.to, index: 0 });
+      }
+    }
+  }
+}
+
+function buildControlFlowGraph({ functionId, scopeNodes, cfgEdges }) {
+  const nodesById = new Map(scopeNodes.map((node) => [node.id, node]));
+  const successors = new Map();
+  const predecessors = new Map();
+  const edgeByPair = new Map();
+  const entryIds = new Set();
+
+  function link(map, from, to) {
+    if (!map.has(from)) {
+      map.set(from, []);
+    }
+    if (!map.get(from).includes(to)) {
+      map.get(from).push(to);
+    }
+  }
+
+  for (const edge of cfgEdges) {
+    if (!nodesById.has(edge.target) || edge.source === edge.target) {
+      continue;
+    }
+    if (edge.source === functionId) {
+      entryIds.add(edge.target);
+      continue;
+    }
+    if (!nodesById.has(edge.source)) {
+      continue;
+    }
+    link(successors, edge.source, edge.target);
+    link(predecessors, edge.target, edge.source);
+    edgeByPair.set(`${edge.source}\n${edge.target}`, edge);
+  }
+
+  const flowNodes = Array.from(nodesById.values())
+    .filter(
+      (node) => successors.has(node.id) || predecessors.has(node.id) || entryIds.has(node.id),
+    )
+    .sort(compareByPosition);
+  if (entryIds.size === 0) {
+    flowNodes
+      .filter((node) => !predecessors.has(node.id))
+      .forEach((node) => entryIds.add(node.id));
+  }
+
+  const listSuccessors = (id) => successors.get(id) || [];
+  const listPredecessors = (id) => predecessors.get(id) || [];
+  const isLeader = (id) => {
+    const preds = listPredecessors(id);
+    return (
+      entryIds.has(id) ||
+      preds.length !== 1 ||
+      preds[0] === id ||
+      listSuccessors(preds[0]).length !== 1
+    );
+  };
+
+  const blockByNode = new Map();
+  const chains = [];
+
+  function collectChain(leaderId) {
+    const chain = [];
+    let current = leaderId;
+    while (current && !blockByNode.has(current)) {
+      blockByNode.set(current, chains.length);
+      chain.push(current);
+      const next = listSuccessors(current);
+      current = next.length === 1 && !isLeader(next[0]) ? next[0] : null;
+    }
+    chains.push(chain);
+  }
+
+  flowNodes.filter((node) => isLeader(node.id)).forEach((node) => collectChain(node.id));
+  flowNodes.forEach((node) => {
+    if (!blockByNode.has(node.id)) {
+      collectChain(node.id);
+    }
+  });
+
+  const blocks = chains.map((chain, index) => {
+    const nodes = chain.map((id) => nodesById.get(id));
+    const lines = nodes.map((node) => node.line).filter(Number.isInteger);
+    const endLines = nodes
+      .map((node) => (Number.isInteger(node.end_line) ? node.end_line : node.line))
+      .filter(Number.isInteger);
+    return {
+      id: `b${index}`,
+      startLine: lines.length > 0 ? Math.min(...lines) : null,
+      endLine: endLines.length > 0 ? Math.max(...endLines) : null,
+      entry: entryIds.has(chain[0]),
+      exit: listSuccessors(chain[chain.length - 1]).length === 0,
+      loopHeader: false,
+      nodes: nodes.map((node) => ({
+        nodeId: node.id,
+        kind: node.kind,
+        name: node.name,
+        line: node.line,
+        col: node.col,
+      })),
+    };
+  });
+
+  const edges = chains.flatMap((chain, index) => {
+    const last = chain[chain.length - 1];
+    return labelBlockEdges(
+      listSuccessors(last).map((target) => ({
+        from: `b${index}`,
+        to: `b${blockByNode.get(target)}`,
+        label: getBranchLabel(edgeByPair.get(`${last}\n${target}`)),
+        backEdge: false,
+      })),
+    );
+  });
+
+  const entryBlockIds = blocks.filter((block) => block.entry).map((block) => block.id);
+  markBackEdges(blocks, edges, entryBlockIds);
+  const blockById = new Map(blocks.map((block) => [block.id, block]));
+  edges.filter((edge) => edge.backEdge).forEach((edge) => {
+    blockById.get(edge.to).loopHeader = true;
+  });
+
+  const outDegrees = new Map();
+  edges.forEach((edge) => outDegrees.set(edge.from, (outDegrees.get(edge.from) || 0) + 1));
+  const decisionCount = Array.from(outDegrees.values()).reduce(
+    (total, outDegree) => total + outDegree - 1,
+    0,
+  );
+
+  return {
+    entryBlockIds,
+    exitBlockIds: blocks.filter((block) => block.exit).map((block) => block.id),
+    cyclomaticComplexity: blocks.length > 0 ? decisionCount + 1 : null,
+    blocks,
+    edges,
+  };
+}
+
+function computeFunctionCfg(db, functionId, edgeKinds) {
+  return buildControlFlowGraph({
+    functionId,
+    scopeNodes: db.listFunctionScopeNodes(functionId),
+    cfgEdges: db.listFunctionCfgEdges(functionId, edgeKinds),
+  });
+}
+
+function getCyclomaticComplexity(db, functionId) {
+  if (!complexityCache.has(db)) {
+    complexityCache.set(db, new Map());
+  }
+  const byFunction = complexityCache.get(db);
+  if (!byFunction.has(functionId)) {
+    byFunction.set(
+      functionId,
+      computeFunctionCfg(db, functionId, DEFAULT_CFG_EDGE_KINDS).cyclomaticComplexity,
+    );
+  }
+  return byFunction.get(functionId);
+}
+
+module.exports = {
+  DEFAULT_CFG_EDGE_KINDS,
+  computeFunctionCfg,
+  getCyclomaticComplexity,
+};
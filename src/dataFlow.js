@@ -0,0 +1,392 @@
+const path = require("node:path");
+const { createForkedRunner } = require("./queryRunner");
+
+const DATAFLOW_WORKER_PATH = path.join(__dirname, "dataFlowWorker.js");
+const DEFAULT_FLOW_EDGE_KINDS = ["data_flow", "dfg", "reaching_def"];
+const ARGUMENT_EDGE_KIND = "argument";
+const PARAMETER_EDGE_KIND = "parameter";
+const RETURN_NODE_KIND = "return";
+const DEFAULT_MAX_VISITED = 100000;
+const MAX_CALL_CONTEXT_DEPTH = 8;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function compileSymbolPattern(pattern) {
+  const source = String(pattern)
+    .trim()
+    .split("*")
+    .map(escapeRegExp)
+    .join(".*");
+  return new RegExp(`^(?:.*/)?${source}$`);
+}
+
+function getSymbolNames(node) {
+  const id = String(node.id);
+  const names = [id.startsWith("ext::") ? id.slice("ext::".length) : id];
+  if (node.package && node.name) {
+    names.push(`${node.package}.${node.name}`);
+  }
+  return names;
+}
+
+function createSymbolMatcher(patterns) {
+  const compiled = patterns.map((pattern) => ({ pattern, regex: compileSymbolPattern(pattern) }));
+
+  return (node) => {
+    const names = getSymbolNames(node);
+    const match = compiled.find(({ regex }) => names.some((name) => regex.test(name)));
+    return match ? match.pattern : null;
+  };
+}
+
+function toStep(node, via) {
+  return {
+    nodeId: node.id,
+    kind: node.kind,
+    name: node.name,
+    file: node.file,
+    line: node.line,
+    col: node.col,
+    functionId: node.kind === "function" ? node.id : node.parent_function,
+    via,
+  };
+}
+
+function readEdgeIndex(edge) {
+  if (!edge.properties || typeof edge.properties !== "string") {
+    return null;
+  }
+  try {
+    const properties = JSON.parse(edge.properties);
+    const index = properties ? properties.index : null;
+    return Number.isInteger(index) ? index : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function createFlowContext(db) {
+  const nodeCache = new Map();
+  const callTargetCache = new Map();
+  const positionalCache = new Map();
+  const callSiteCache = new Map();
+
+  function getNode(id) {
+    if (!nodeCache.has(id)) {
+      nodeCache.set(id, db.getNode(id) || null);
+    }
+    return nodeCache.get(id);
+  }
+
+  function listCallTargets(nodeId) {
+    if (!callTargetCache.has(nodeId)) {
+      callTargetCache.set(
+        nodeId,
+        db.listOutgoingEdgesByKinds(nodeId, ["call"]).map((edge) => edge.target),
+      );
+    }
+    return callTargetCache.get(nodeId);
+  }
+
+  function listPositionalTargets(ownerId, kind) {
+    const key = `${kind}\n${ownerId}`;
+    if (!positionalCache.has(key)) {
+      const entries = db
+        .listOutgoingEdgesByKinds(ownerId, [kind])
+        .map((edge) => ({ index: readEdgeIndex(edge), node: getNode(edge.target) }))
+        .filter((entry) => entry.node);
+      const indexed = entries.every((entry) => entry.index !== null);
+      entries.sort(
+        (left, right) =>
+          (indexed ? left.index - right.index : 0) ||
+          (left.node.line || 0) - (right.node.line || 0) ||
+          (left.node.col || 0) - (right.node.col || 0),
+      );
+      positionalCache.set(
+        key,
+        entries.map((entry, position) => ({
+          index: indexed ? entry.index : position,
+          node: entry.node,
+        })),
+      );
+    }
+    return positionalCache.get(key);
+  }
+
+  function listParameterNodes(functionId) {
+    return listPositionalTargets(functionId, PARAMETER_EDGE_KIND);
+  }
+
+  function getParameterNode(functionId, index) {
+    const parameters = listParameterNodes(functionId);
+    const exact = parameters.find((entry) => entry.index === index);
+    if (exact) {
+      return exact.node;
+    }
+    const last = parameters[parameters.length - 1];
+    return last && index > last.index ? last.node : null;
+  }
+
+  function listArgumentUses(nodeId) {
+    return db.listIncomingEdgesByKinds(nodeId, [ARGUMENT_EDGE_KIND]).map((edge) => {
+      const argument = listPositionalTargets(edge.source, ARGUMENT_EDGE_KIND).find(
+        (entry) => entry.node.id === nodeId,
+      );
+      return { callSiteId: edge.source, index: argument ? argument.index : 0 };
+    });
+  }
+
+  function listCallSites(functionId) {
+    if (!callSiteCache.has(functionId)) {
+      callSiteCache.set(
+        functionId,
+        db
+          .listReferences(functionId)
+          .filter((site) => site.edge_kind === "call")
+          .map((site) => site.id),
+      );
+    }
+    return callSiteCache.get(functionId);
+  }
+
+  return {
+    getNode,
+    listCallTargets,
+    listParameterNodes,
+    getParameterNode,
+    listArgumentUses,
+    listCallSites,
+  };
+}
+
+function resolveFlowSources(context, sourceSpecs) {
+  const resolved = [];
+  const unresolved = [];
+
+  for (const spec of sourceSpecs) {
+    if (spec.nodeId) {
+      const node = context.getNode(spec.nodeId);
+      if (node) {
+        resolved.push({ node, label: spec.nodeId });
+      } else {
+        unresolved.push(spec);
+      }
+      continue;
+    }
+
+    if (spec.functionId && spec.parameter) {
+      const declaration = context
+        .listParameterNodes(spec.functionId)
+        .find((entry) => entry.node.name === spec.parameter);
+      if (declaration) {
+        resolved.push({ node: declaration.node, label: `${spec.functionId}(${spec.parameter})` });
+      } else {
+        unresolved.push(spec);
+      }
+      continue;
+    }
+
+    const before = resolved.length;
+    for (const calleeId of spec.calleeIds) {
+      for (const siteId of context.listCallSites(calleeId)) {
+        if (context.getNode(siteId)) {
+          resolved.push({ node: context.getNode(siteId), label: spec.callee });
+        }
+      }
+    }
+    if (resolved.length === before) {
+      unresolved.push({ callee: spec.callee });
+    }
+  }
+
+  return { resolved, unresolved };
+}
+
+function matchCalleeSources(callGraph, sourceSpecs) {
+  const nodes = callGraph.listNodes();
+
+  return sourceSpecs.map((spec) => {
+    if (!spec.callee) {
+      return spec;
+    }
+    const matcher = createSymbolMatcher([spec.callee]);
+    return { ...spec, calleeIds: nodes.filter((node) => matcher(node)).map((node) => node.id) };
+  });
+}
+
+function enterCall(callContext, callSiteId) {
+  return [...callContext, callSiteId].slice(-MAX_CALL_CONTEXT_DEPTH);
+}
+
+function traceDataFlow({
+  db,
+  sources,
+  sinks,
+  sanitizers,
+  edgeKinds,
+  maxPaths,
+  maxVisited = DEFAULT_MAX_VISITED,
+}) {
+  const context = createFlowContext(db);
+  const matchSink = createSymbolMatcher(sinks);
+  const matchSanitizer = sanitizers.length > 0 ? createSymbolMatcher(sanitizers) : () => null;
+  const { resolved, unresolved } = resolveFlowSources(context, sources);
+
+  const states = new Map();
+  const queue = [];
+  const reportedSinks = new Set();
+
+  function visit(from, nodeId, callContext, via) {
+    const key = `${nodeId}\n${callContext.join("\n")}`;
+    if (states.has(key) || !context.getNode(nodeId)) {
+      return;
+    }
+    states.set(key, { nodeId, callContext, from, via });
+    queue.push(key);
+  }
+
+  for (const source of resolved) {
+    visit(null, source.node.id, [], `source:${source.label}`);
+  }
+
+  function buildPath(key) {
+    const steps = [];
+    for (let current = key; current !== null; current = states.get(current).from) {
+      const state = states.get(current);
+      steps.push(toStep(context.getNode(state.nodeId), state.via));
+    }
+    return steps.reverse();
+  }
+
+  const paths = [];
+  let truncated = false;
+
+  function reportSink(key, callSiteId, calleeId, pattern) {
+    const sinkKey = `${callSiteId}\n${calleeId}`;
+    if (reportedSinks.has(sinkKey)) {
+      return;
+    }
+    if (paths.length >= maxPaths) {
+      truncated = true;
+      return;
+    }
+    reportedSinks.add(sinkKey);
+    const steps = buildPath(key);
+    if (steps[steps.length - 1].nodeId !== callSiteId) {
+      steps.push(toStep(context.getNode(callSiteId), ARGUMENT_EDGE_KIND));
+    }
+    paths.push({
+      source: steps[0].via.slice("source:".length),
+      sink: { nodeId: callSiteId, calleeId, pattern },
+      length: steps.length - 1,
+      steps,
+    });
+  }
+
+  for (let head = 0; head < queue.length && !truncated; head += 1) {
+    if (states.size >= maxVisited) {
+      truncated = true;
+      break;
+    }
+
+    const key = queue[head];
+    const { nodeId, callContext } = states.get(key);
+    const node = context.getNode(nodeId);
+    let sanitized = false;
+
+    if (node.kind !== "function") {
+      for (const targetId of context.listCallTargets(nodeId)) {
+        const callee = context.getNode(targetId) || { id: targetId };
+        const sinkPattern = matchSink(callee);
+        if (sinkPattern) {
+          reportSink(key, nodeId, targetId, sinkPattern);
+        }
+        if (matchSanitizer(callee)) {
+          sanitized = true;
+        }
+      }
+    }
+
+    for (const use of context.listArgumentUses(nodeId)) {
+      for (const targetId of context.listCallTargets(use.callSiteId)) {
+        const callee = context.getNode(targetId) || { id: targetId };
+        const sinkPattern = matchSink(callee);
+        if (sinkPattern) {
+          reportSink(key, use.callSiteId, targetId, sinkPattern);
+        }
+        if (matchSanitizer(callee)) {
+          continue;
+        }
+
+        const parameter = context.getParameterNode(targetId, use.index);
+        if (parameter) {
+          visit(key, parameter.id, enterCall(callContext, use.callSiteId), "call");
+        } else if (context.listParameterNodes(targetId).length === 0) {
+          visit(key, use.callSiteId, callContext, ARGUMENT_EDGE_KIND);
+        }
+      }
+    }
+
+    if (node.kind === RETURN_NODE_KIND && node.parent_function) {
+      if (callContext.length > 0) {
+        visit(key, callContext[callContext.length - 1], callContext.slice(0, -1), "return");
+      } else {
+        for (const siteId of context.listCallSites(node.parent_function)) {
+          visit(key, siteId, [], "return");
+        }
+      }
+    }
+
+    if (!sanitized) {
+      for (const edge of db.listOutgoingEdgesByKinds(nodeId, edgeKinds)) {
+        visit(key, edge.target, callContext, edge.kind);
+      }
+    }
+  }
+
+  return {
+    sources: resolved.map((source) => toStep(source.node, `source:${source.label}`)),
+    unresolvedSources: unresolved,
+    visitedCount: states.size,
+    truncated,
+    paths,
+  };
+}
+
+function createDataFlowRunner({ maxRunning }) {
+  const runner = createForkedRunner({
+    workerPath: DATAFLOW_WORKER_PATH,
+    maxRunning,
+    errorPrefix: "FLOW",
+    name: "Data-flow trace",
+    label: "data-flow traces",
+  });
+
+  async function trace({ dbPath, callGraph, sources, timeoutMs, ...options }) {
+    const result = await runner.run(
+      { dbPath, sources: matchCalleeSources(callGraph, sources), ...options },
+      timeoutMs,
+    );
+    return {
+      sources: result.sources,
+      unresolvedSources: result.unresolvedSources,
+      visitedCount: result.visitedCount,
+      truncated: result.truncated,
+      paths: result.paths,
+      elapsedMs: result.elapsedMs,
+    };
+  }
+
+  return { trace };
+}
+
+module.exports = {
+  ARGUMENT_EDGE_KIND,
+  DEFAULT_FLOW_EDGE_KINDS,
+  PARAMETER_EDGE_KIND,
+  createDataFlowRunner,
+  createSymbolMatcher,
+  traceDataFlow,
+};
@@ -0,0 +1,22 @@
+const { createDbClient } = require("./db");
+const { traceDataFlow } = require("./dataFlow");
+
+function runTrace({ dbPath, ...options }) {
+  const db = createDbClient(dbPath);
+
+  try {
+    return { ok: true, ...traceDataFlow({ db, ...options }) };
+  } finally {
+    db.close();
+  }
+}
+
+process.once("message", (request) => {
+  let result;
+  try {
+    result = runTrace(request);
+  } catch (err) {
+    result = { ok: false, code: err.code || "FLOW_FAILED", message: err.message };
+  }
+  process.send(result, () => process.exit(0));
+});
@@ -14,13 +14,32 @@ function createDbClient(dbPathFromEnv) {
       configured: false,
       dbPath: null,
       ping: () => ({ ok: false, reason: "SQLITE_PATH is not configured" }),
+      getStats: () => ({ fileCount: 0, functionCount: 0 }),
       listQueries: () => [],
+      getQuerySql: () => null,
       runQueryByName: () => [],
       getFunctionDetail: () => null,
       getSourceByFile: () => null,
       resolveSourceFilePath: () => null,
       listFunctionsByFile: () => [],
       listSourceFiles: () => [],
+      listFunctionNodes: () => [],
+      listCallEdges: () => [],
+      getNode: () => null,
+      listReferences: () => [],
+      listFileReferenceSites: () => [],
+      iterateSources: () => [],
+      listNodesByKinds: () => [],
+      listInterfaceMethods: () => [],
+      listInterfaceEmbeds: () => [],
+      getRawNode: () => null,
+      countNodeEdgesByKind: () => ({ in: [], out: [] }),
+      listNodeEdges: () => ({ total: 0, edges: [] }),
+      listKindCounts: () => ({ nodeKinds: [], edgeKinds: [] }),
+      listOutgoingEdgesByKinds: () => [],
+      listIncomingEdgesByKinds: () => [],
+      listFunctionScopeNodes: () => [],
+      listFunctionCfgEdges: () => [],
       close: () => {},
     };
   }
@@ -42,6 +61,11 @@ function createDbClient(dbPathFromEnv) {
     FROM sqlite_master
     WHERE type = 'table'
   `);
+  const statsStatement = connection.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM sources) AS fileCount,
+      (SELECT COUNT(*) FROM nodes WHERE kind = 'function') AS functionCount
+  `);
   const listQueriesStatement = connection.prepare(`
     SELECT name, description
     FROM queries
@@ -98,9 +122,199 @@ function createDbClient(dbPathFromEnv) {
     FROM sources
     ORDER BY file
   `);
+  const listFunctionNodesStatement = connection.prepare(`
+    SELECT id, name, package, file, line, end_line
+    FROM nodes
+    WHERE kind = 'function'
+  `);
+  const listCallEdgesStatement = connection.prepare(`
+    SELECT
+      CASE WHEN site.kind = 'function' THEN site.id ELSE site.parent_function END AS caller_id,
+      edges.target AS callee_id,
+      CASE WHEN site.kind = 'function' THEN NULL ELSE site.line END AS call_line
+    FROM edges
+    JOIN nodes AS site ON site.id = edges.source
+    WHERE edges.kind = 'call'
+  `);
+  const getNodeStatement = connection.prepare(`
+    SELECT id, kind, name, package, file, line, col, end_line, parent_function
+    FROM nodes
+    WHERE id = ?
+  `);
+  const listReferencesStatement = connection.prepare(`
+    SELECT
+      site.id,
+      site.kind,
+      site.name,
+      site.file,
+      site.line,
+      site.col,
+      edges.kind AS edge_kind,
+      site.parent_function AS function_id,
+      enclosing.name AS function_name
+    FROM edges
+    JOIN nodes AS site ON site.id = edges.source
+    LEFT JOIN nodes AS enclosing ON enclosing.id = site.parent_function
+    WHERE edges.target = ?
+      AND edges.kind IN ('call', 'ref')
+    ORDER BY site.file, site.line, site.col
+  `);
+  const listFileReferenceSitesStatement = connection.prepare(`
+    SELECT
+      site.id,
+      site.kind,
+      site.name,
+      site.line,
+      site.col,
+      edges.kind AS edge_kind,
+      target.id AS target_id,
+      target.kind AS target_kind,
+      target.name AS target_name,
+      target.package AS target_package,
+      target.file AS target_file,
+      target.line AS target_line,
+      target.col AS target_col
+    FROM nodes AS site
+    JOIN edges ON edges.source = site.id
+    JOIN nodes AS target ON target.id = edges.target
+    WHERE site.file = ?
+      AND edges.kind IN ('call', 'ref')
+    ORDER BY site.line, site.col, site.id
+  `);
+  const iterateSourcesStatement = connection.prepare(`
+    SELECT file, package, content
+    FROM sources
+    ORDER BY file
+  `);
+  const listNodesByKindsStatement = connection.prepare(`
+    SELECT id, kind, name, package, file, line
+    FROM nodes
+    WHERE kind IN (SELECT value FROM json_each(?))
+  `);
+  const listInterfaceMethodsStatement = connection.prepare(`
+    SELECT
+      iface.id AS interface_id,
+      iface.name AS interface_name,
+      iface.package,
+      iface.file,
+      iface.line,
+      method.id AS method_id,
+      method.name AS method_name,
+      method.line AS method_line
+    FROM nodes AS iface
+    JOIN edges ON edges.source = iface.id AND edges.kind = 'member'
+    JOIN nodes AS method ON method.id = edges.target AND method.kind = 'method_spec'
+    WHERE iface.kind = 'interface'
+    ORDER BY iface.package, iface.name, method.name
+  `);
+  const listInterfaceEmbedsStatement = connection.prepare(`
+    SELECT
+      iface.id AS interface_id,
+      iface.name AS interface_name,
+      iface.package,
+      iface.file,
+      iface.line,
+      edges.target AS embedded_id,
+      embedded.id IS NULL OR embedded.file IS NULL AS embedded_external
+    FROM nodes AS iface
+    JOIN edges ON edges.source = iface.id AND edges.kind IN ('member', 'embed')
+    LEFT JOIN nodes AS embedded ON embedded.id = edges.target
+    WHERE iface.kind = 'interface'
+      AND (embedded.kind = 'interface' OR embedded.id IS NULL)
+    ORDER BY iface.package, iface.name, edges.target
+  `);
+
+  const getRawNodeStatement = connection.prepare(`
+    SELECT *
+    FROM nodes
+    WHERE id = ?
+  `);
+  const countOutgoingEdgesStatement = connection.prepare(`
+    SELECT kind, COUNT(*) AS count
+    FROM edges
+    WHERE source = ?
+    GROUP BY kind
+    ORDER BY kind
+  `);
+  const countIncomingEdgesStatement = connection.prepare(`
+    SELECT kind, COUNT(*) AS count
+    FROM edges
+    WHERE target = ?
+    GROUP BY kind
+    ORDER BY kind
+  `);
+  const nodeEdgeStatements = {
+    out: buildNodeEdgeStatements("source", "target"),
+    in: buildNodeEdgeStatements("target", "source"),
+  };
+  const listNodeKindsStatement = connection.prepare(`
+    SELECT kind, COUNT(*) AS count
+    FROM nodes
+    GROUP BY kind
+    ORDER BY count DESC, kind
+  `);
+  const listEdgeKindsStatement = connection.prepare(`
+    SELECT kind, COUNT(*) AS count
+    FROM edges
+    GROUP BY kind
+    ORDER BY count DESC, kind
+  `);
+
+  const listOutgoingEdgesByKindsStatement = connection.prepare(`
+    SELECT *
+    FROM edges
+    WHERE source = ?
+      AND kind IN (SELECT value FROM json_each(?))
+  `);
+  const listIncomingEdgesByKindsStatement = connection.prepare(`
+    SELECT *
+    FROM edges
+    WHERE target = ?
+      AND kind IN (SELECT value FROM json_each(?))
+  `);
+  const listFunctionScopeNodesStatement = connection.prepare(`
+    SELECT id, kind, name, package, file, line, col, end_line, parent_function
+    FROM nodes
+    WHERE parent_function = ?
+    ORDER BY line, col, id
+  `);
+  const listFunctionCfgEdgesStatement = connection.prepare(`
+    SELECT edges.*
+    FROM edges
+    JOIN nodes AS site ON site.id = edges.source
+    WHERE (site.id = @functionId OR site.parent_function = @functionId)
+      AND edges.kind IN (SELECT value FROM json_each(@kinds))
+  `);
 
   const preparedQueryStatements = new Map();
   let sourceFilesCache = null;
+  let kindCountsCache = null;
+
+  function buildNodeEdgeStatements(anchorColumn, otherColumn) {
+    const where = `
+      WHERE edges.${anchorColumn} = @nodeId
+        AND (@kinds IS NULL OR edges.kind IN (SELECT value FROM json_each(@kinds)))
+    `;
+
+    return {
+      count: connection.prepare(`SELECT COUNT(*) AS count FROM edges ${where}`),
+      list: connection.prepare(`
+        SELECT
+          edges.*,
+          other.id AS other_id,
+          other.kind AS other_kind,
+          other.name AS other_name,
+          other.package AS other_package,
+          other.file AS other_file,
+          other.line AS other_line
+        FROM edges
+        LEFT JOIN nodes AS other ON other.id = edges.${otherColumn}
+        ${where}
+        ORDER BY edges.kind, other.file, other.line, edges.${otherColumn}
+        LIMIT @limit OFFSET @offset
+      `),
+    };
+  }
 
   function normalizeFilePath(filePath) {
     return String(filePath || "").trim().replace(/\\/g, "/");
@@ -171,11 +385,18 @@ function createDbClient(dbPathFromEnv) {
         tableCount: tableCountRow.count,
       };
     },
+    getStats: () => {
+      return statsStatement.get();
+    },
     listQueries: (includeSql = false) => {
       return includeSql
         ? listQueriesWithSqlStatement.all()
         : listQueriesStatement.all();
     },
+    getQuerySql: (queryName) => {
+      const row = getQuerySqlStatement.get(queryName);
+      return row && row.sql ? row.sql : null;
+    },
     runQueryByName: (queryName, params = {}) => {
       const statement = getPreparedQueryByName(queryName);
       if (!statement) {
@@ -205,6 +426,75 @@ function createDbClient(dbPathFromEnv) {
       }
       return sourceFilesCache;
     },
+    listFunctionNodes: () => {
+      return listFunctionNodesStatement.all();
+    },
+    listCallEdges: () => {
+      return listCallEdgesStatement.all();
+    },
+    getNode: (nodeId) => {
+      return getNodeStatement.get(nodeId) || null;
+    },
+    listReferences: (nodeId) => {
+      return listReferencesStatement.all(nodeId);
+    },
+    listFileReferenceSites: (filePath) => {
+      const resolvedFilePath = resolveSourceFilePath(filePath);
+      if (!resolvedFilePath) {
+        return [];
+      }
+      return listFileReferenceSitesStatement.all(resolvedFilePath);
+    },
+    iterateSources: () => {
+      return iterateSourcesStatement.iterate();
+    },
+    listNodesByKinds: (kinds) => {
+      return listNodesByKindsStatement.all(JSON.stringify(kinds));
+    },
+    listInterfaceMethods: () => {
+      return listInterfaceMethodsStatement.all();
+    },
+    listInterfaceEmbeds: () => {
+      return listInterfaceEmbedsStatement.all();
+    },
+    getRawNode: (nodeId) => {
+      return getRawNodeStatement.get(nodeId) || null;
+    },
+    countNodeEdgesByKind: (nodeId) => {
+      return {
+        in: countIncomingEdgesStatement.all(nodeId),
+        out: countOutgoingEdgesStatement.all(nodeId),
+      };
+    },
+    listNodeEdges: ({ nodeId, direction, kinds, limit, offset }) => {
+      const statements = nodeEdgeStatements[direction];
+      const params = { nodeId, kinds: kinds.length > 0 ? JSON.stringify(kinds) : null };
+      return {
+        total: statements.count.get(params).count,
+        edges: statements.list.all({ ...params, limit, offset }),
+      };
+    },
+    listOutgoingEdgesByKinds: (nodeId, kinds) => {
+      return listOutgoingEdgesByKindsStatement.all(nodeId, JSON.stringify(kinds));
+    },
+    listIncomingEdgesByKinds: (nodeId, kinds) => {
+      return listIncomingEdgesByKindsStatement.all(nodeId, JSON.stringify(kinds));
+    },
+    listFunctionScopeNodes: (functionId) => {
+      return listFunctionScopeNodesStatement.all(functionId);
+    },
+    listFunctionCfgEdges: (functionId, kinds) => {
+      return listFunctionCfgEdgesStatement.all({ functionId, kinds: JSON.stringify(kinds) });
+    },
+    listKindCounts: () => {
+      if (!kindCountsCache) {
+        kindCountsCache = {
+          nodeKinds: listNodeKindsStatement.all(),
+          edgeKinds: listEdgeKindsStatement.all(),
+        };
+      }
+      return kindCountsCache;
+    },
     close: () => {
       connection.close();
     },
@@ -0,0 +1,183 @@
+const { createOriginFilter } = require("./nodeOrigin");
+
+const ROOT_KINDS = ["main", "init", "exported", "tests"];
+const DEFAULT_ROOT_KINDS = ["main", "init", "tests"];
+
+const TEST_FUNCTION_PATTERN = /^(Test|Benchmark|Example|Fuzz)([A-Z_]|$)/;
+const PACKAGE_CLAUSE_PATTERN = /^\s*package\s+([A-Za-z_][A-Za-z0-9_]*)/m;
+
+const CSV_COLUMNS = [
+  "package",
+  "file",
+  "function",
+  "id",
+  "line",
+  "end_line",
+  "line_count",
+  "has_callers",
+];
+
+function getLeafName(name) {
+  return String(name || "").split(".").pop();
+}
+
+const isSourceFunction = createOriginFilter("none");
+
+function declaresMainPackage(node, readSource) {
+  if (node.package === "main") {
+    return true;
+  }
+  const source = readSource ? readSource(node.file) : null;
+  if (!source) {
+    return true;
+  }
+  const clause = PACKAGE_CLAUSE_PATTERN.exec(source.replace(/\/\/.*$|\/\*[\s\S]*?\*\//gm, ""));
+  return !clause || clause[1] === "main";
+}
+
+function classifyRoot(node, rootKinds, exportedPackages, readSource) {
+  const leaf = getLeafName(node.name);
+
+  if (rootKinds.includes("main") && node.name === "main" && declaresMainPackage(node, readSource)) {
+    return "main";
+  }
+  if (rootKinds.includes("init") && /^init(\.\d+)?$/.test(String(node.name))) {
+    return "init";
+  }
+  if (
+    rootKinds.includes("tests") &&
+    String(node.file).endsWith("_test.go") &&
+    TEST_FUNCTION_PATTERN.test(leaf)
+  ) {
+    return "tests";
+  }
+  if (
+    rootKinds.includes("exported") &&
+    /^[A-Z]/.test(leaf) &&
+    (exportedPackages.length === 0 || exportedPackages.includes(node.package))
+  ) {
+    return "exported";
+  }
+  return null;
+}
+
+function findUnreachableFunctions(callGraph, { rootKinds, exportedPackages, readSource }) {
+  const functions = callGraph.listNodes().filter(isSourceFunction);
+  const rootCounts = Object.fromEntries(rootKinds.map((kind) => [kind, 0]));
+  const reachable = new Set();
+  const queue = [];
+
+  for (const node of functions) {
+    const rootKind = classifyRoot(node, rootKinds, exportedPackages, readSource);
+    if (rootKind) {
+      rootCounts[rootKind] += 1;
+      reachable.add(node.id);
+      queue.push(node.id);
+    }
+  }
+  const rootCount = queue.length;
+
+  for (let head = 0; head < queue.length; head += 1) {
+    for (const calleeId of callGraph.listCallees(queue[head])) {
+      if (!reachable.has(calleeId)) {
+        reachable.add(calleeId);
+        queue.push(calleeId);
+      }
+    }
+  }
+
+  const unreachable = functions
+    .filter((node) => !reachable.has(node.id))
+    .map((node) => ({
+      id: node.id,
+      name: node.name,
+      package: node.package,
+      file: node.file,
+      line: node.line,
+      endLine: node.end_line,
+      lineCount:
+        Number.isInteger(node.line) && Number.isInteger(node.end_line)
+          ? node.end_line - node.line + 1
+          : null,
+      hasCallers: callGraph.listCallers(node.id).length > 0,
+    }))
+    .sort(
+      (left, right) =>
+        String(left.package || "").localeCompare(String(right.package || "")) ||
+        String(left.file).localeCompare(String(right.file)) ||
+        (left.line || 0) - (right.line || 0),
+    );
+
+  return {
+    functionCount: functions.length,
+    rootCount,
+    rootCounts,
+    reachableCount: functions.length - unreachable.length,
+    unreachable,
+  };
+}
+
+function groupByPackageAndFile(functions) {
+  const packages = new Map();
+
+  for (const fn of functions) {
+    const packageName = fn.package || "";
+    if (!packages.has(packageName)) {
+      packages.set(packageName, new Map());
+    }
+    const files = packages.get(packageName);
+    if (!files.has(fn.file)) {
+      files.set(fn.file, []);
+    }
+    files.get(fn.file).push(fn);
+  }
+
+  return Array.from(packages.entries()).map(([packageName, files]) => ({
+    package: packageName || null,
+    count: Array.from(files.values()).reduce((total, list) => total + list.length, 0),
+    files: Array.from(files.entries()).map(([file, list]) => ({
+      file,
+      count: list.length,
+      functions: list,
+    })),
+  }));
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderDeadCodeCsv(functions) {
+  const lines = [CSV_COLUMNS.join(",")];
+
+  for (const fn of functions) {
+    lines.push(
+      [
+        fn.package,
+        fn.file,
+        fn.name,
+        fn.id,
+        fn.line,
+        fn.endLine,
+        fn.lineCount,
+        fn.hasCallers,
+      ]
+        .map(escapeCsv)
+        .join(","),
+    );
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  DEFAULT_ROOT_KINDS,
+  ROOT_KINDS,
+  findUnreachableFunctions,
+  groupByPackageAndFile,
+  renderDeadCodeCsv,
+};
@@ -0,0 +1,232 @@
+const METHOD_NAME_PATTERN = /^\((\*?)([A-Za-z_][A-Za-z0-9_]*)\)\.([A-Za-z_][A-Za-z0-9_]*)$/;
+const VALUE_METHOD_NAME_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*)\.([A-Za-z_][A-Za-z0-9_]*)$/;
+
+function parseMethodName(name) {
+  const raw = String(name || "");
+  const pointerMatch = METHOD_NAME_PATTERN.exec(raw);
+  if (pointerMatch) {
+    return {
+      receiver: pointerMatch[2],
+      pointerReceiver: pointerMatch[1] === "*",
+      method: pointerMatch[3],
+    };
+  }
+
+  const valueMatch = VALUE_METHOD_NAME_PATTERN.exec(raw);
+  if (valueMatch) {
+    return { receiver: valueMatch[1], pointerReceiver: false, method: valueMatch[2] };
+  }
+  return null;
+}
+
+function buildMethodSets(functionRows) {
+  const types = new Map();
+
+  for (const row of functionRows) {
+    const parsed = parseMethodName(row.name);
+    if (!parsed || !row.package) {
+      continue;
+    }
+
+    const key = `${row.package}.${parsed.receiver}`;
+    if (!types.has(key)) {
+      types.set(key, { key, name: parsed.receiver, package: row.package, methods: new Map() });
+    }
+    types.get(key).methods.set(parsed.method, { ...row, pointerReceiver: parsed.pointerReceiver });
+  }
+
+  return types;
+}
+
+function isExportedName(name) {
+  return /^[A-Z]/.test(String(name));
+}
+
+function buildDispatchIndex({
+  functionRows,
+  interfaceMethodRows,
+  interfaceEmbedRows,
+  callEdgeRows,
+}) {
+  const interfaces = new Map();
+  const interfaceByMethodId = new Map();
+
+  function ensureInterface(row) {
+    if (!interfaces.has(row.interface_id)) {
+      interfaces.set(row.interface_id, {
+        id: row.interface_id,
+        name: row.interface_name,
+        package: row.package,
+        file: row.file,
+        line: row.line,
+        ownMethods: [],
+        embeddedIds: [],
+        externalEmbeddedIds: [],
+      });
+    }
+    return interfaces.get(row.interface_id);
+  }
+
+  for (const row of interfaceMethodRows) {
+    ensureInterface(row).ownMethods.push({
+      id: row.method_id,
+      name: row.method_name,
+      line: row.method_line,
+      interfaceId: row.interface_id,
+      package: row.package,
+    });
+    interfaceByMethodId.set(row.method_id, row.interface_id);
+  }
+  for (const row of interfaceEmbedRows) {
+    const iface = ensureInterface(row);
+    iface.embeddedIds.push(row.embedded_id);
+    if (row.embedded_external) {
+      iface.externalEmbeddedIds.push(row.embedded_id);
+    }
+  }
+
+  const flattened = new Map();
+  function collectMethods(interfaceId, visiting) {
+    const iface = interfaces.get(interfaceId);
+    if (flattened.has(interfaceId) || !iface || visiting.has(interfaceId)) {
+      return flattened.get(interfaceId) || { methods: [], complete: true };
+    }
+
+    visiting.add(interfaceId);
+    const byName = new Map(iface.ownMethods.map((method) => [method.name, method]));
+    let complete = iface.externalEmbeddedIds.every((embeddedId) => interfaces.has(embeddedId));
+    for (const embeddedId of iface.embeddedIds) {
+      const embedded = collectMethods(embeddedId, visiting);
+      complete = complete && embedded.complete;
+      for (const method of embedded.methods) {
+        if (!byName.has(method.name)) {
+          byName.set(method.name, method);
+        }
+      }
+    }
+    visiting.delete(interfaceId);
+
+    const methods = Array.from(byName.values()).sort((left, right) =>
+      left.name.localeCompare(right.name),
+    );
+    flattened.set(interfaceId, { methods, complete });
+    return flattened.get(interfaceId);
+  }
+
+  for (const iface of interfaces.values()) {
+    const { methods, complete } = collectMethods(iface.id, new Set());
+    iface.methods = methods;
+    iface.methodSetComplete = complete;
+  }
+
+  const types = buildMethodSets(functionRows);
+  const implementersByInterface = new Map();
+
+  for (const iface of interfaces.values()) {
+    const implementers = [];
+
+    for (const type of types.values()) {
+      const methods = iface.methods.map((method) =>
+        isExportedName(method.name) || method.package === type.package
+          ? type.methods.get(method.name)
+          : null,
+      );
+      if (iface.methods.length === 0 || methods.some((method) => !method)) {
+        continue;
+      }
+
+      implementers.push({
+        type: type.name,
+        package: type.package,
+        pointerReceiver: methods.some((method) => method.pointerReceiver),
+        partial: !iface.methodSetComplete,
+        methods: methods.map((method) => ({
+          name: parseMethodName(method.name).method,
+          functionId: method.id,
+          file: method.file,
+          line: method.line,
+        })),
+      });
+    }
+
+    implementers.sort(
+      (left, right) =>
+        String(left.package).localeCompare(String(right.package)) ||
+        left.type.localeCompare(right.type),
+    );
+    implementersByInterface.set(iface.id, implementers);
+  }
+
+  const dynamicEdgeRows = [];
+  for (const row of callEdgeRows) {
+    const interfaceId = interfaceByMethodId.get(row.callee_id);
+    if (!interfaceId || !row.caller_id || !interfaces.get(interfaceId).methodSetComplete) {
+      continue;
+    }
+
+    const methodName = interfaces
+      .get(interfaceId)
+      .methods.find((method) => method.id === row.callee_id).name;
+    for (const implementer of implementersByInterface.get(interfaceId)) {
+      const target = implementer.methods.find((method) => method.name === methodName);
+      dynamicEdgeRows.push({
+        caller_id: row.caller_id,
+        callee_id: target.functionId,
+        call_line: row.call_line,
+        dynamic: true,
+      });
+    }
+  }
+
+  const methodSpecRows = Array.from(interfaces.values()).flatMap((iface) =>
+    iface.ownMethods.map((method) => ({
+      id: method.id,
+      name: `${iface.name}.${method.name}`,
+      package: iface.package,
+      file: null,
+      line: null,
+      end_line: null,
+    })),
+  );
+
+  function describeInterface(iface) {
+    return {
+      id: iface.id,
+      name: iface.name,
+      package: iface.package,
+      file: iface.file,
+      line: iface.line,
+      embeddedIds: iface.embeddedIds,
+      methodSetComplete: iface.methodSetComplete,
+      methods: iface.methods.map((method) => ({
+        id: method.id,
+        name: method.name,
+        line: method.line,
+        interfaceId: method.interfaceId,
+      })),
+    };
+  }
+
+  return {
+    interfaceCount: interfaces.size,
+    dynamicEdgeRows,
+    methodSpecRows,
+    hasInterface: (id) => interfaces.has(id),
+    listInterfaces: () =>
+      Array.from(interfaces.values()).map((iface) => ({
+        ...describeInterface(iface),
+        implementerCount: implementersByInterface.get(iface.id).length,
+      })),
+    getInterface: (id) => (interfaces.has(id) ? describeInterface(interfaces.get(id)) : null),
+    findInterfaceByMethod: (methodId) =>
+      interfaceByMethodId.has(methodId)
+        ? describeInterface(interfaces.get(interfaceByMethodId.get(methodId)))
+        : null,
+    listImplementers: (id) => implementersByInterface.get(id) || [],
+  };
+}
+
+module.exports = {
+  buildDispatchIndex,
+  parseMethodName,
+};
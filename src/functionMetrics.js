@@ -0,0 +1,232 @@
+const { findStronglyConnectedComponents } = require("./callGraph");
+
+const METRICS = [
+  "fanIn",
+  "fanOut",
+  "lineCount",
+  "reachCallees",
+  "reachCallers",
+  "pageRank",
+  "betweenness",
+];
+
+const PAGE_RANK_DAMPING = 0.85;
+const PAGE_RANK_MAX_ITERATIONS = 50;
+const PAGE_RANK_TOLERANCE = 1e-9;
+const BETWEENNESS_SAMPLE_SIZE = 256;
+const REACH_CHUNK_WORDS = 64;
+const REACH_CHUNK_BITS = REACH_CHUNK_WORDS * 32;
+
+const metricsCache = new WeakMap();
+
+function buildIndexedGraph(callGraph) {
+  const ids = callGraph.listNodes().map((node) => node.id);
+  const indexById = new Map(ids.map((id, index) => [id, index]));
+  const callees = ids.map((id) =>
+    callGraph.listCallees(id).map((calleeId) => indexById.get(calleeId)),
+  );
+  const callers = ids.map((id) =>
+    callGraph.listCallers(id).map((callerId) => indexById.get(callerId)),
+  );
+
+  return { ids, indexById, callees, callers };
+}
+
+function countBits(word) {
+  const pairs = word - ((word >>> 1) & 0x55555555);
+  const nibbles = (pairs & 0x33333333) + ((pairs >>> 2) & 0x33333333);
+  return Math.imul((nibbles + (nibbles >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+function setBitRange(bits, rowStart, chunkStart, from, to) {
+  const start = Math.max(from, chunkStart) - chunkStart;
+  const end = Math.min(to, chunkStart + REACH_CHUNK_BITS) - chunkStart;
+  for (let bit = start; bit < end; bit += 1) {
+    bits[rowStart + (bit >>> 5)] |= 1 << (bit & 31);
+  }
+}
+
+function computeReachCounts(graph, adjacency) {
+  const components = findStronglyConnectedComponents(
+    Array.from(graph.ids.keys()),
+    (index) => adjacency[index],
+  );
+  const componentByNode = new Int32Array(graph.ids.length);
+  const offsets = new Int32Array(components.length + 1);
+  components.forEach((component, componentIndex) => {
+    offsets[componentIndex + 1] = offsets[componentIndex] + component.length;
+    for (const index of component) {
+      componentByNode[index] = componentIndex;
+    }
+  });
+
+  const componentEdges = components.map(() => new Set());
+  for (let index = 0; index < graph.ids.length; index += 1) {
+    const from = componentByNode[index];
+    for (const neighbor of adjacency[index]) {
+      if (componentByNode[neighbor] !== from) {
+        componentEdges[from].add(componentByNode[neighbor]);
+      }
+    }
+  }
+
+  const reachByComponent = new Int32Array(components.length);
+  const bits = new Int32Array(components.length * REACH_CHUNK_WORDS);
+  for (let chunkStart = 0; chunkStart < graph.ids.length; chunkStart += REACH_CHUNK_BITS) {
+    bits.fill(0);
+    components.forEach((component, componentIndex) => {
+      const rowStart = componentIndex * REACH_CHUNK_WORDS;
+      for (const next of componentEdges[componentIndex]) {
+        const nextStart = next * REACH_CHUNK_WORDS;
+        for (let word = 0; word < REACH_CHUNK_WORDS; word += 1) {
+          bits[rowStart + word] |= bits[nextStart + word];
+        }
+        setBitRange(bits, rowStart, chunkStart, offsets[next], offsets[next + 1]);
+      }
+      for (let word = 0; word < REACH_CHUNK_WORDS; word += 1) {
+        reachByComponent[componentIndex] += countBits(bits[rowStart + word]);
+      }
+    });
+  }
+
+  return Array.from(componentByNode, (componentIndex, index) => {
+    const selfLoop = adjacency[index].includes(index) ? 1 : 0;
+    return reachByComponent[componentIndex] + components[componentIndex].length - 1 + selfLoop;
+  });
+}
+
+function computePageRank(graph) {
+  const size = graph.ids.length;
+  let ranks = new Float64Array(size).fill(1 / size);
+
+  for (let iteration = 0; iteration < PAGE_RANK_MAX_ITERATIONS; iteration += 1) {
+    let danglingMass = 0;
+    for (let index = 0; index < size; index += 1) {
+      if (graph.callees[index].length === 0) {
+        danglingMass += ranks[index];
+      }
+    }
+
+    const next = new Float64Array(size).fill(
+      (1 - PAGE_RANK_DAMPING) / size + (PAGE_RANK_DAMPING * danglingMass) / size,
+    );
+    for (let index = 0; index < size; index += 1) {
+      const targets = graph.callees[index];
+      const share = (PAGE_RANK_DAMPING * ranks[index]) / targets.length;
+      for (const target of targets) {
+        next[target] += share;
+      }
+    }
+
+    let delta = 0;
+    for (let index = 0; index < size; index += 1) {
+      delta += Math.abs(next[index] - ranks[index]);
+    }
+    ranks = next;
+    if (delta < PAGE_RANK_TOLERANCE) {
+      break;
+    }
+  }
+
+  return ranks;
+}
+
+function computeBetweenness(graph) {
+  const size = graph.ids.length;
+  const scores = new Float64Array(size);
+  const sampleSize = Math.min(size, BETWEENNESS_SAMPLE_SIZE);
+  const step = size / sampleSize;
+
+  const sigma = new Float64Array(size);
+  const distance = new Int32Array(size);
+  const delta = new Float64Array(size);
+
+  for (let sample = 0; sample < sampleSize; sample += 1) {
+    const source = Math.floor(sample * step);
+    const order = [];
+    const predecessors = new Map();
+    sigma.fill(0);
+    distance.fill(-1);
+    delta.fill(0);
+    sigma[source] = 1;
+    distance[source] = 0;
+
+    const queue = [source];
+    for (let head = 0; head < queue.length; head += 1) {
+      const current = queue[head];
+      order.push(current);
+      for (const next of graph.callees[current]) {
+        if (distance[next] < 0) {
+          distance[next] = distance[current] + 1;
+          queue.push(next);
+        }
+        if (distance[next] === distance[current] + 1) {
+          sigma[next] += sigma[current];
+          if (!predecessors.has(next)) {
+            predecessors.set(next, []);
+          }
+          predecessors.get(next).push(current);
+        }
+      }
+    }
+
+    for (let position = order.length - 1; position >= 0; position -= 1) {
+      const node = order[position];
+      for (const previous of predecessors.get(node) || []) {
+        delta[previous] += (sigma[previous] / sigma[node]) * (1 + delta[node]);
+      }
+      if (node !== source) {
+        scores[node] += delta[node];
+      }
+    }
+  }
+
+  const scale = size / sampleSize;
+  return { scores: scores.map((score) => score * scale), sampled: sampleSize < size };
+}
+
+function roundMetric(value) {
+  return Number(value.toPrecision(6));
+}
+
+function computeFunctionMetrics(callGraph) {
+  if (metricsCache.has(callGraph)) {
+    return metricsCache.get(callGraph);
+  }
+
+  const graph = buildIndexedGraph(callGraph);
+  const reachCallees = computeReachCounts(graph, graph.callees);
+  const reachCallers = computeReachCounts(graph, graph.callers);
+  const pageRank = computePageRank(graph);
+  const betweenness = computeBetweenness(graph);
+  const byId = new Map();
+
+  graph.ids.forEach((id, index) => {
+    const node = callGraph.getNode(id);
+    byId.set(id, {
+      fanIn: graph.callers[index].length,
+      fanOut: graph.callees[index].length,
+      lineCount:
+        Number.isInteger(node.line) && Number.isInteger(node.end_line)
+          ? node.end_line - node.line + 1
+          : null,
+      reachCallees: reachCallees[index],
+      reachCallers: reachCallers[index],
+      pageRank: roundMetric(pageRank[index]),
+      betweenness: roundMetric(betweenness.scores[index]),
+    });
+  });
+
+  const metrics = {
+    betweennessSampled: betweenness.sampled,
+    get: (id) => byId.get(id) || null,
+    entries: () => byId.entries(),
+  };
+  metricsCache.set(callGraph, metrics);
+  return metrics;
+}
+
+module.exports = {
+  METRICS,
+  computeFunctionMetrics,
+};
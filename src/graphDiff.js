@@ -0,0 +1,162 @@
+function getBaseKey(node) {
+  return node.package ? `${node.package}.${node.name}` : node.id;
+}
+
+const keyIndexCache = new WeakMap();
+
+function buildKeyIndex(graph) {
+  if (keyIndexCache.has(graph)) {
+    return keyIndexCache.get(graph);
+  }
+
+  const nodes = graph.listNodes();
+  const keyCounts = new Map();
+  for (const node of nodes) {
+    const key = getBaseKey(node);
+    keyCounts.set(key, (keyCounts.get(key) || 0) + 1);
+  }
+
+  const keyById = new Map();
+  const nodeByKey = new Map();
+  for (const node of nodes) {
+    let key = getBaseKey(node);
+    if (keyCounts.get(key) > 1) {
+      key = `${key}@${node.file || node.id}`;
+    }
+    keyById.set(node.id, key);
+    nodeByKey.set(key, node);
+  }
+
+  const edges = new Map();
+  for (const edge of graph.listEdges()) {
+    const source = keyById.get(edge.caller);
+    const target = keyById.get(edge.callee);
+    edges.set(`${source} -> ${target}`, { source, target });
+  }
+
+  const index = { keyById, nodeByKey, edges };
+  keyIndexCache.set(graph, index);
+  return index;
+}
+
+function describeKey(key, headIndex, baseIndex) {
+  const node = headIndex.nodeByKey.get(key) || baseIndex.nodeByKey.get(key);
+  return {
+    key,
+    headId: headIndex.nodeByKey.has(key) ? headIndex.nodeByKey.get(key).id : null,
+    baseId: baseIndex.nodeByKey.has(key) ? baseIndex.nodeByKey.get(key).id : null,
+    name: node.name,
+    package: node.package,
+    file: node.file,
+    line: node.line,
+  };
+}
+
+function diffKeys(left, right) {
+  return Array.from(left.keys())
+    .filter((key) => !right.has(key))
+    .sort();
+}
+
+function diffCallGraphs(baseGraph, headGraph) {
+  const baseIndex = buildKeyIndex(baseGraph);
+  const headIndex = buildKeyIndex(headGraph);
+  const describe = (key) => describeKey(key, headIndex, baseIndex);
+
+  const addedEdges = diffKeys(headIndex.edges, baseIndex.edges).map((key) =>
+    headIndex.edges.get(key),
+  );
+  const removedEdges = diffKeys(baseIndex.edges, headIndex.edges).map((key) =>
+    baseIndex.edges.get(key),
+  );
+
+  const changed = new Map();
+  function recordChange(key, listName, change, otherKey) {
+    if (!headIndex.nodeByKey.has(key) || !baseIndex.nodeByKey.has(key)) {
+      return;
+    }
+    if (!changed.has(key)) {
+      changed.set(key, {
+        callers: { added: [], removed: [] },
+        callees: { added: [], removed: [] },
+      });
+    }
+    changed.get(key)[listName][change].push(otherKey);
+  }
+
+  for (const edge of addedEdges) {
+    recordChange(edge.source, "callees", "added", edge.target);
+    recordChange(edge.target, "callers", "added", edge.source);
+  }
+  for (const edge of removedEdges) {
+    recordChange(edge.source, "callees", "removed", edge.target);
+    recordChange(edge.target, "callers", "removed", edge.source);
+  }
+
+  return {
+    addedFunctions: diffKeys(headIndex.nodeByKey, baseIndex.nodeByKey).map(describe),
+    removedFunctions: diffKeys(baseIndex.nodeByKey, headIndex.nodeByKey).map(describe),
+    addedEdges,
+    removedEdges,
+    changedFunctions: Array.from(changed.keys())
+      .sort()
+      .map((key) => ({ ...describe(key), ...changed.get(key) })),
+  };
+}
+
+function diffFunctionNeighborhood(baseGraph, headGraph, functionKey) {
+  const baseIndex = buildKeyIndex(baseGraph);
+  const headIndex = buildKeyIndex(headGraph);
+  if (!headIndex.nodeByKey.has(functionKey) && !baseIndex.nodeByKey.has(functionKey)) {
+    return null;
+  }
+
+  const edges = new Map();
+  for (const [index, status] of [
+    [headIndex, "added"],
+    [baseIndex, "removed"],
+  ]) {
+    for (const [edgeKey, edge] of index.edges.entries()) {
+      if (edge.source !== functionKey && edge.target !== functionKey) {
+        continue;
+      }
+      if (edges.has(edgeKey)) {
+        edges.get(edgeKey).status = "unchanged";
+      } else {
+        edges.set(edgeKey, { id: edgeKey, ...edge, status });
+      }
+    }
+  }
+
+  const nodes = new Map([[functionKey, { relation: "focus" }]]);
+  for (const edge of edges.values()) {
+    const neighborKey = edge.source === functionKey ? edge.target : edge.source;
+    if (!nodes.has(neighborKey)) {
+      nodes.set(neighborKey, { relation: edge.source === functionKey ? "callee" : "caller" });
+    }
+  }
+
+  return {
+    nodes: Array.from(nodes.entries()).map(([key, extra]) => {
+      const described = describeKey(key, headIndex, baseIndex);
+      let status = "unchanged";
+      if (!described.baseId) {
+        status = "added";
+      } else if (!described.headId) {
+        status = "removed";
+      }
+      return { ...described, ...extra, status };
+    }),
+    edges: Array.from(edges.values()),
+  };
+}
+
+function findFunctionKey(graph, functionId) {
+  return buildKeyIndex(graph).keyById.get(functionId) || null;
+}
+
+module.exports = {
+  diffCallGraphs,
+  diffFunctionNeighborhood,
+  findFunctionKey,
+};
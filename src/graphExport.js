@@ -0,0 +1,253 @@
+const { classifyNode } = require("./nodeOrigin");
+
+const EXPORT_FORMATS = {
+  dot: { contentType: "text/vnd.graphviz; charset=utf-8", extension: "dot" },
+  graphml: { contentType: "application/graphml+xml; charset=utf-8", extension: "graphml" },
+  mermaid: { contentType: "text/plain; charset=utf-8", extension: "mmd" },
+  jgf: { contentType: "application/json; charset=utf-8", extension: "json" },
+};
+
+function describeLocation(node) {
+  if (!node.file) {
+    return null;
+  }
+  return node.line ? `${node.file}:${node.line}` : node.file;
+}
+
+function describeNodeLines(node) {
+  const packageName = node.package || classifyNode(node).importPath;
+  const title = packageName ? `${packageName}.${node.name}` : node.name || node.id;
+  const location = describeLocation(node);
+  return location ? [title, location] : [title];
+}
+
+function escapeDot(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function escapeMermaid(value) {
+  return String(value).replace(/"/g, "#quot;").replace(/</g, "#lt;").replace(/>/g, "#gt;");
+}
+
+function renderDot(graph) {
+  const lines = [
+    `digraph "${escapeDot(graph.title)}" {`,
+    "  rankdir=LR;",
+    '  node [shape=box, style="rounded,filled", fillcolor="#f8fafc", fontname="Helvetica"];',
+  ];
+
+  for (const node of graph.nodes) {
+    const label = describeNodeLines(node).map(escapeDot).join("\\n");
+    const attributes = [`label="${label}"`];
+    if (node.relation === "focus") {
+      attributes.push('fillcolor="#fed7aa"');
+    }
+    lines.push(`  "${escapeDot(node.id)}" [${attributes.join(", ")}];`);
+  }
+
+  for (const edge of graph.edges) {
+    const attributes = [];
+    if (edge.callLines.length > 0) {
+      attributes.push(`label="L${edge.callLines.join(", L")}"`);
+    }
+    if (edge.dynamic) {
+      attributes.push("style=dashed");
+    }
+    const suffix = attributes.length > 0 ? ` [${attributes.join(", ")}]` : "";
+    lines.push(`  "${escapeDot(edge.source)}" -> "${escapeDot(edge.target)}"${suffix};`);
+  }
+
+  lines.push("}");
+  return `${lines.join("\n")}\n`;
+}
+
+function renderGraphMl(graph) {
+  const nodeKeys = ["label", "name", "package", "file", "line", "relation", "depth"];
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...nodeKeys.map((key) => {
+      const type = key === "line" || key === "depth" ? "int" : "string";
+      return `  <key id="${key}" for="node" attr.name="${key}" attr.type="${type}"/>`;
+    }),
+    '  <key id="callLines" for="edge" attr.name="callLines" attr.type="string"/>',
+    '  <key id="dynamic" for="edge" attr.name="dynamic" attr.type="boolean"/>',
+    `  <graph id="${escapeXml(graph.title)}" edgedefault="directed">`,
+  ];
+
+  for (const node of graph.nodes) {
+    const values = {
+      label: describeNodeLines(node).join(" "),
+      name: node.name,
+      package: node.package,
+      file: node.file,
+      line: node.line,
+      relation: node.relation,
+      depth: node.depth,
+    };
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    for (const key of nodeKeys) {
+      if (values[key] !== null && values[key] !== undefined) {
+        lines.push(`      <data key="${key}">${escapeXml(values[key])}</data>`);
+      }
+    }
+    lines.push("    </node>");
+  }
+
+  for (const edge of graph.edges) {
+    lines.push(
+      `    <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`,
+    );
+    lines.push(`      <data key="callLines">${edge.callLines.join(",")}</data>`);
+    lines.push(`      <data key="dynamic">${Boolean(edge.dynamic)}</data>`);
+    lines.push("    </edge>");
+  }
+
+  lines.push("  </graph>", "</graphml>");
+  return `${lines.join("\n")}\n`;
+}
+
+function renderMermaid(graph) {
+  const aliases = new Map(graph.nodes.map((node, index) => [node.id, `n${index}`]));
+  const lines = ["flowchart LR"];
+
+  for (const node of graph.nodes) {
+    const label = describeNodeLines(node).map(escapeMermaid).join("<br/>");
+    lines.push(`  ${aliases.get(node.id)}["${label}"]`);
+  }
+
+  for (const edge of graph.edges) {
+    const label = edge.callLines.length > 0 ? `|L${edge.callLines.join(", L")}|` : "";
+    const arrow = edge.dynamic ? "-.->" : "-->";
+    lines.push(`  ${aliases.get(edge.source)} ${arrow}${label} ${aliases.get(edge.target)}`);
+  }
+
+  const focus = graph.nodes.find((node) => node.relation === "focus");
+  if (focus) {
+    lines.push("  classDef focus fill:#fed7aa,stroke:#f97316");
+    lines.push(`  class ${aliases.get(focus.id)} focus`);
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+function renderJgf(graph) {
+  const nodes = {};
+  for (const node of graph.nodes) {
+    nodes[node.id] = {
+      label: describeNodeLines(node).join(" "),
+      metadata: {
+        name: node.name,
+        package: node.package,
+        file: node.file,
+        line: node.line,
+        endLine: node.end_line,
+        relation: node.relation,
+        depth: node.depth,
+      },
+    };
+  }
+
+  return `${JSON.stringify(
+    {
+      graph: {
+        id: graph.title,
+        type: "call-graph",
+        label: graph.title,
+        directed: true,
+        metadata: graph.metadata,
+        nodes,
+        edges: graph.edges.map((edge) => ({
+          id: edge.id,
+          source: edge.source,
+          target: edge.target,
+          relation: "calls",
+          directed: true,
+          metadata: { callLines: edge.callLines, dynamic: Boolean(edge.dynamic) },
+        })),
+      },
+    },
+    null,
+    2,
+  )}\n`;
+}
+
+function isCollapsibleExternal(node) {
+  return (node.origin === "stdlib" || node.origin === "third-party") && Boolean(node.module);
+}
+
+function collapseExternalNodes(graph) {
+  const nodes = [];
+  const modules = new Map();
+  const nodeIdById = new Map();
+
+  for (const node of graph.nodes) {
+    if (node.relation === "focus" || !isCollapsibleExternal(node)) {
+      nodeIdById.set(node.id, node.id);
+      nodes.push(node);
+      continue;
+    }
+
+    const moduleId = `module:${node.module}`;
+    nodeIdById.set(node.id, moduleId);
+    const existing = modules.get(moduleId);
+    if (existing) {
+      existing.functionCount += 1;
+      existing.name = `${node.module} (${existing.functionCount})`;
+      existing.depth = Math.min(existing.depth, node.depth);
+      continue;
+    }
+
+    const moduleNode = {
+      id: moduleId,
+      name: node.module,
+      package: null,
+      file: null,
+      line: null,
+      relation: node.relation,
+      depth: node.depth,
+      origin: node.origin,
+      module: node.module,
+      functionCount: 1,
+    };
+    modules.set(moduleId, moduleNode);
+    nodes.push(moduleNode);
+  }
+
+  const edges = new Map();
+  for (const edge of graph.edges) {
+    const source = nodeIdById.get(edge.source);
+    const target = nodeIdById.get(edge.target);
+    const id = `${source}->${target}`;
+    if (source && target && !edges.has(id)) {
+      edges.set(id, { ...edge, id, source, target });
+    }
+  }
+
+  return { ...graph, nodes, edges: Array.from(edges.values()) };
+}
+
+const RENDERERS = {
+  dot: renderDot,
+  graphml: renderGraphMl,
+  mermaid: renderMermaid,
+  jgf: renderJgf,
+};
+
+function renderGraph(format, graph) {
+  return RENDERERS[format](graph);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  collapseExternalNodes,
+  renderGraph,
+};
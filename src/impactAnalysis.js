@@ -0,0 +1,182 @@
+const HUNK_HEADER_PATTERN = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+const RANGE_PATTERN = /^(.+?):(\d+)(?:-(\d+))?$/;
+
+function stripDiffPrefix(filePath) {
+  return filePath.replace(/\t.*$/, "").replace(/^[ab]\//, "");
+}
+
+function collapseLines(file, lines) {
+  const sorted = Array.from(new Set(lines)).sort((left, right) => left - right);
+  const ranges = [];
+
+  for (const line of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && line <= last.endLine + 1) {
+      last.endLine = line;
+    } else {
+      ranges.push({ file, startLine: line, endLine: line });
+    }
+  }
+  return ranges;
+}
+
+function parseUnifiedDiff(text) {
+  const changedLinesByFile = new Map();
+  let oldFile = null;
+  let newFile = null;
+  let oldLine = 0;
+  let newLine = 0;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  function markChanged(line) {
+    const file = newFile || oldFile;
+    if (!file) {
+      return;
+    }
+    if (!changedLinesByFile.has(file)) {
+      changedLinesByFile.set(file, []);
+    }
+    changedLinesByFile.get(file).push(Math.max(line, 1));
+  }
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    if (oldRemaining > 0 || newRemaining > 0) {
+      if (rawLine.startsWith("+")) {
+        markChanged(newLine);
+        newLine += 1;
+        newRemaining -= 1;
+      } else if (rawLine.startsWith("-")) {
+        markChanged(newFile ? newLine : oldLine);
+        oldLine += 1;
+        oldRemaining -= 1;
+      } else if (rawLine.startsWith(" ") || rawLine === "") {
+        oldLine += 1;
+        newLine += 1;
+        oldRemaining -= 1;
+        newRemaining -= 1;
+      }
+      continue;
+    }
+
+    if (rawLine.startsWith("--- ")) {
+      const path = rawLine.slice(4).trim();
+      oldFile = path === "/dev/null" ? null : stripDiffPrefix(path);
+      continue;
+    }
+    if (rawLine.startsWith("+++ ")) {
+      const path = rawLine.slice(4).trim();
+      newFile = path === "/dev/null" ? null : stripDiffPrefix(path);
+      continue;
+    }
+
+    const header = HUNK_HEADER_PATTERN.exec(rawLine);
+    if (header) {
+      oldLine = Number(header[1]);
+      newLine = Number(header[3]);
+      oldRemaining = header[2] === undefined ? 1 : Number(header[2]);
+      newRemaining = header[4] === undefined ? 1 : Number(header[4]);
+    }
+  }
+
+  return Array.from(changedLinesByFile.entries()).flatMap(([file, lines]) =>
+    collapseLines(file, lines),
+  );
+}
+
+function parseLineRanges(values) {
+  const ranges = [];
+  const invalid = [];
+
+  for (const value of values) {
+    const match = RANGE_PATTERN.exec(String(value).trim());
+    if (!match) {
+      invalid.push(String(value));
+      continue;
+    }
+
+    const startLine = Number(match[2]);
+    const endLine = match[3] ? Number(match[3]) : startLine;
+    if (startLine < 1 || endLine < startLine) {
+      invalid.push(String(value));
+      continue;
+    }
+    ranges.push({ file: match[1], startLine, endLine });
+  }
+
+  return { ranges, invalid };
+}
+
+function mapRangesToFunctions(ranges, { resolveSourceFilePath, listFunctionsByFile }) {
+  const functionsByFile = new Map();
+  const changedFunctions = new Map();
+  const unresolvedFiles = new Set();
+
+  const mappedRanges = ranges.map((range) => {
+    const fileResolved = resolveSourceFilePath(range.file);
+    if (!fileResolved) {
+      unresolvedFiles.add(range.file);
+      return { ...range, fileResolved: null, functionIds: [] };
+    }
+
+    if (!functionsByFile.has(fileResolved)) {
+      functionsByFile.set(fileResolved, listFunctionsByFile(fileResolved));
+    }
+    const enclosing = functionsByFile
+      .get(fileResolved)
+      .filter(
+        (fn) =>
+          Number.isInteger(fn.line) &&
+          fn.line <= range.endLine &&
+          (Number.isInteger(fn.end_line) ? fn.end_line : fn.line) >= range.startLine,
+      );
+
+    for (const fn of enclosing) {
+      changedFunctions.set(fn.function_id, fn);
+    }
+    return { ...range, fileResolved, functionIds: enclosing.map((fn) => fn.function_id) };
+  });
+
+  return {
+    ranges: mappedRanges,
+    unresolvedFiles: Array.from(unresolvedFiles),
+    changedFunctions: Array.from(changedFunctions.values()),
+  };
+}
+
+function findAffectedCallers(callGraph, startIds, { maxDepth }) {
+  const distances = new Map(startIds.map((id) => [id, 0]));
+  const queue = [...startIds];
+  let depthLimited = false;
+
+  for (let head = 0; head < queue.length; head += 1) {
+    const currentId = queue[head];
+    const distance = distances.get(currentId);
+
+    for (const callerId of callGraph.listCallers(currentId)) {
+      if (distances.has(callerId)) {
+        continue;
+      }
+      if (maxDepth !== null && distance >= maxDepth) {
+        depthLimited = true;
+        continue;
+      }
+      distances.set(callerId, distance + 1);
+      queue.push(callerId);
+    }
+  }
+
+  return {
+    depthLimited,
+    affected: Array.from(distances.entries())
+      .filter(([, distance]) => distance > 0)
+      .map(([id, distance]) => ({ ...callGraph.getNode(id), distance })),
+  };
+}
+
+module.exports = {
+  findAffectedCallers,
+  mapRangesToFunctions,
+  parseLineRanges,
+  parseUnifiedDiff,
+};
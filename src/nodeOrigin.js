@@ -0,0 +1,64 @@
+const NODE_ORIGINS = ["local", "stdlib", "third-party", "unknown"];
+const INCLUDE_EXTERNAL_MODES = ["none", "stdlib", "all"];
+
+const THREE_SEGMENT_MODULE_HOSTS = ["github.com", "gitlab.com", "bitbucket.org", "golang.org"];
+
+function splitExternalId(id) {
+  const raw = String(id).slice("ext::".length);
+  const slashIndex = raw.lastIndexOf("/");
+  const lastSegment = raw.slice(slashIndex + 1);
+  const versioned = /^[A-Za-z0-9_-]+\.v\d+(?=\.|$)/.exec(lastSegment);
+  const dotIndex = versioned ? versioned[0].length : lastSegment.indexOf(".");
+
+  if (dotIndex === -1) {
+    return { importPath: raw, symbol: null };
+  }
+  return {
+    importPath: raw.slice(0, slashIndex + 1 + dotIndex),
+    symbol: lastSegment.slice(dotIndex + 1) || null,
+  };
+}
+
+function getModulePath(importPath) {
+  const segments = importPath.split("/");
+  if (THREE_SEGMENT_MODULE_HOSTS.includes(segments[0])) {
+    return segments.slice(0, 3).join("/");
+  }
+  return segments.slice(0, 2).join("/");
+}
+
+function classifyNode(node) {
+  const id = String(node.id);
+
+  if (!id.startsWith("ext::")) {
+    return node.file
+      ? { origin: "local", module: null, importPath: node.package || null }
+      : { origin: "unknown", module: null, importPath: node.package || null };
+  }
+
+  const { importPath } = splitExternalId(id);
+  if (!importPath) {
+    return { origin: "unknown", module: null, importPath: null };
+  }
+  if (!importPath.split("/")[0].includes(".")) {
+    return { origin: "stdlib", module: importPath, importPath };
+  }
+  return { origin: "third-party", module: getModulePath(importPath), importPath };
+}
+
+function createOriginFilter(includeExternal) {
+  if (includeExternal === "all") {
+    return null;
+  }
+  if (includeExternal === "stdlib") {
+    return (node) => node.origin === "local" || node.origin === "stdlib";
+  }
+  return (node) => node.origin === "local";
+}
+
+module.exports = {
+  INCLUDE_EXTERNAL_MODES,
+  NODE_ORIGINS,
+  classifyNode,
+  createOriginFilter,
+};
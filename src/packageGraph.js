@@ -0,0 +1,159 @@
+const { findStronglyConnectedComponents } = require("./callGraph");
+const { classifyNode } = require("./nodeOrigin");
+
+function getNodePackage(node) {
+  return classifyNode(node).importPath;
+}
+
+function isExternalNode(node) {
+  return node.origin !== "local";
+}
+
+function buildPackageGraph(callGraph, { nodeFilter }) {
+  const packageByNodeId = new Map();
+  const packages = new Map();
+
+  for (const node of callGraph.listNodes()) {
+    const packageName = getNodePackage(node);
+    if (!packageName || (nodeFilter && !nodeFilter(node))) {
+      continue;
+    }
+
+    packageByNodeId.set(node.id, packageName);
+    if (!packages.has(packageName)) {
+      packages.set(packageName, {
+        id: packageName,
+        functionCount: 0,
+        external: true,
+        internalCallCount: 0,
+        incomingCallCount: 0,
+        outgoingCallCount: 0,
+      });
+    }
+    const entry = packages.get(packageName);
+    entry.functionCount += 1;
+    entry.external = entry.external && isExternalNode(node);
+  }
+
+  const edges = new Map();
+  for (const edge of callGraph.listEdges()) {
+    const source = packageByNodeId.get(edge.caller);
+    const target = packageByNodeId.get(edge.callee);
+    if (!source || !target) {
+      continue;
+    }
+
+    const callCount = Math.max(edge.lines.length, 1);
+    if (source === target) {
+      packages.get(source).internalCallCount += callCount;
+      continue;
+    }
+
+    const id = `${source}->${target}`;
+    if (!edges.has(id)) {
+      edges.set(id, { id, source, target, functionEdgeCount: 0, callCount: 0, inCycle: false });
+    }
+    const packageEdge = edges.get(id);
+    packageEdge.functionEdgeCount += 1;
+    packageEdge.callCount += callCount;
+    packages.get(source).outgoingCallCount += callCount;
+    packages.get(target).incomingCallCount += callCount;
+  }
+
+  const targetsBySource = new Map();
+  for (const edge of edges.values()) {
+    if (!targetsBySource.has(edge.source)) {
+      targetsBySource.set(edge.source, []);
+    }
+    targetsBySource.get(edge.source).push(edge.target);
+  }
+
+  const cycles = findStronglyConnectedComponents(
+    Array.from(packages.keys()),
+    (id) => targetsBySource.get(id) || [],
+  )
+    .filter((component) => component.length > 1)
+    .map((component) => component.sort());
+  const cycleIndexByPackage = new Map();
+  cycles.forEach((component, index) => {
+    for (const packageName of component) {
+      cycleIndexByPackage.set(packageName, index);
+    }
+  });
+
+  for (const edge of edges.values()) {
+    const sourceCycle = cycleIndexByPackage.get(edge.source);
+    edge.inCycle = sourceCycle !== undefined && sourceCycle === cycleIndexByPackage.get(edge.target);
+  }
+
+  return {
+    packages: Array.from(packages.values())
+      .map((entry) => ({
+        ...entry,
+        cycle: cycleIndexByPackage.has(entry.id) ? cycleIndexByPackage.get(entry.id) : null,
+      }))
+      .sort((left, right) => left.id.localeCompare(right.id)),
+    edges: Array.from(edges.values()).sort((left, right) => right.callCount - left.callCount),
+    cycles,
+  };
+}
+
+function expandPackage(callGraph, packageName, { nodeFilter }) {
+  const functions = callGraph
+    .listNodes()
+    .filter((node) => getNodePackage(node) === packageName)
+    .filter((node) => !nodeFilter || nodeFilter(node));
+  const functionIds = new Set(functions.map((node) => node.id));
+  const edges = [];
+
+  function pushEdge(callerId, calleeId, edge) {
+    const caller = callGraph.getNode(callerId);
+    const callee = callGraph.getNode(calleeId);
+    const sourcePackage = getNodePackage(caller);
+    const targetPackage = getNodePackage(callee);
+    if (!sourcePackage || !targetPackage) {
+      return;
+    }
+    if (nodeFilter && (!nodeFilter(caller) || !nodeFilter(callee))) {
+      return;
+    }
+
+    edges.push({
+      id: `${callerId}->${calleeId}`,
+      source: callerId,
+      target: calleeId,
+      sourcePackage,
+      targetPackage,
+      callCount: Math.max(edge.lines.length, 1),
+    });
+  }
+
+  for (const id of functionIds) {
+    for (const calleeId of callGraph.listCallees(id)) {
+      pushEdge(id, calleeId, callGraph.getEdge(id, calleeId));
+    }
+    for (const callerId of callGraph.listCallers(id)) {
+      if (!functionIds.has(callerId)) {
+        pushEdge(callerId, id, callGraph.getEdge(callerId, id));
+      }
+    }
+  }
+
+  return {
+    functions: functions
+      .map((node) => ({
+        id: node.id,
+        name: node.name,
+        package: packageName,
+        file: node.file,
+        line: node.line,
+      }))
+      .sort((left, right) => String(left.name).localeCompare(String(right.name))),
+    edges,
+  };
+}
+
+module.exports = {
+  buildPackageGraph,
+  expandPackage,
+};
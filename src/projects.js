@@ -0,0 +1,141 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { createDbClient } = require("./db");
+
+const SIDECAR_SUFFIXES = [".search.db", ".annotations.db"];
+
+function isProjectDatabaseFile(fileName) {
+  return (
+    fileName.endsWith(".db") && !SIDECAR_SUFFIXES.some((suffix) => fileName.endsWith(suffix))
+  );
+}
+
+function discoverDatabaseFiles(sqlitePathSetting) {
+  const entries = String(sqlitePathSetting || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  const files = [];
+
+  for (const entry of entries) {
+    const resolved = path.isAbsolute(entry) ? entry : path.resolve(process.cwd(), entry);
+    if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+      const dbFiles = fs
+        .readdirSync(resolved)
+        .filter(isProjectDatabaseFile)
+        .sort()
+        .map((fileName) => path.join(resolved, fileName));
+      if (dbFiles.length === 0) {
+        throw new Error(`No .db files found in directory: ${resolved}`);
+      }
+      files.push(...dbFiles);
+    } else {
+      files.push(resolved);
+    }
+  }
+
+  return Array.from(new Set(files));
+}
+
+function toProjectId(dbPath, usedIds) {
+  const base =
+    path
+      .basename(dbPath)
+      .replace(/\.[^.]+$/, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "project";
+
+  let id = base;
+  for (let suffix = 2; usedIds.has(id); suffix += 1) {
+    id = `${base}-${suffix}`;
+  }
+  usedIds.add(id);
+  return id;
+}
+
+function listProjectDatabases(sqlitePathSetting) {
+  const usedIds = new Set();
+  return discoverDatabaseFiles(sqlitePathSetting).map((dbPath) => ({
+    id: toProjectId(dbPath, usedIds),
+    name: path.basename(dbPath),
+    dbPath,
+  }));
+}
+
+function createProjectRegistry({ sqlitePath, loadIndexes, logger }) {
+  const entries = listProjectDatabases(sqlitePath).map((project) => {
+    const db = createDbClient(project.dbPath);
+    return {
+      id: project.id,
+      name: project.name,
+      db,
+      stats: db.getStats(),
+      context: null,
+    };
+  });
+  const entriesById = new Map(entries.map((entry) => [entry.id, entry]));
+  const defaultProjectId = entries.length > 0 ? entries[0].id : null;
+
+  function load(entry) {
+    if (!entry.context) {
+      const startedAt = Date.now();
+      entry.context = {
+        id: entry.id,
+        name: entry.name,
+        db: entry.db,
+        ...loadIndexes(entry.db, entry.id),
+      };
+      logger.info({ project: entry.id, ms: Date.now() - startedAt }, "Project loaded");
+    }
+    return entry.context;
+  }
+
+  function describe(entry) {
+    const stat = fs.statSync(entry.db.dbPath);
+    return {
+      id: entry.id,
+      name: entry.name,
+      dbPath: entry.db.dbPath,
+      isDefault: entry.id === defaultProjectId,
+      loaded: Boolean(entry.context),
+      sizeBytes: stat.size,
+      modifiedAt: stat.mtime.toISOString(),
+      fileCount: entry.stats.fileCount,
+      functionCount: entry.stats.functionCount,
+    };
+  }
+
+  if (defaultProjectId) {
+    load(entriesById.get(defaultProjectId));
+  }
+
+  return {
+    configured: entries.length > 0,
+    defaultProjectId,
+    list: () => entries.map(describe),
+    has: (id) => entriesById.has(id),
+    get: (id) => {
+      const entry = entriesById.get(id || defaultProjectId);
+      return entry ? load(entry) : null;
+    },
+    getDb: (id) => {
+      const entry = entriesById.get(id || defaultProjectId);
+      return entry ? entry.db : null;
+    },
+    close: () => {
+      for (const entry of entries) {
+        if (entry.context && entry.context.close) {
+          entry.context.close();
+        }
+        entry.db.close();
+      }
+    },
+  };
+}
+
+module.exports = {
+  createProjectRegistry,
+  discoverDatabaseFiles,
+  listProjectDatabases,
+};
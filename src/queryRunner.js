@@ -0,0 +1,115 @@
+const path = require("node:path");
+const { fork } = require("node:child_process");
+
+const QUERY_WORKER_PATH = path.join(__dirname, "queryWorker.js");
+const WORKER_HEAP_MB = 256;
+
+function createRunnerError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function createForkedRunner({ workerPath, maxRunning, errorPrefix, name, label }) {
+  let running = 0;
+
+  function run(message, timeoutMs) {
+    if (running >= maxRunning) {
+      return Promise.reject(
+        createRunnerError(
+          `${errorPrefix}_BUSY`,
+          `${running} ${label} are already running, retry later`,
+        ),
+      );
+    }
+
+    running += 1;
+    const startedAt = Date.now();
+    const child = fork(workerPath, [], {
+      execArgv: [`--max-old-space-size=${WORKER_HEAP_MB}`],
+      serialization: "advanced",
+      stdio: ["ignore", "ignore", "ignore", "ipc"],
+    });
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+
+      function settle(callback) {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        running -= 1;
+        clearTimeout(timer);
+        callback();
+      }
+
+      const timer = setTimeout(() => {
+        child.kill("SIGKILL");
+        settle(() =>
+          reject(
+            createRunnerError(
+              `${errorPrefix}_TIMEOUT`,
+              `${name} exceeded the ${timeoutMs} ms timeout`,
+            ),
+          ),
+        );
+      }, timeoutMs);
+
+      child.once("message", (result) => {
+        settle(() => {
+          if (!result.ok) {
+            reject(createRunnerError(result.code, result.message));
+            return;
+          }
+          resolve({ ...result, elapsedMs: Date.now() - startedAt });
+        });
+      });
+      child.once("error", (err) => {
+        settle(() => reject(err));
+      });
+      child.once("exit", (code, signal) => {
+        settle(() =>
+          reject(
+            createRunnerError(
+              `${errorPrefix}_WORKER_EXITED`,
+              `${name} worker exited unexpectedly (${signal || `code ${code}`})`,
+            ),
+          ),
+        );
+      });
+
+      child.send(message);
+    });
+  }
+
+  return { run };
+}
+
+function createQueryRunner({ maxRunning, maxCellLength }) {
+  const runner = createForkedRunner({
+    workerPath: QUERY_WORKER_PATH,
+    maxRunning,
+    errorPrefix: "QUERY",
+    name: "Query",
+    label: "queries",
+  });
+
+  async function run({ dbPath, sql, params, maxRows, timeoutMs }) {
+    const result = await runner.run({ dbPath, sql, params, maxRows, maxCellLength }, timeoutMs);
+    return {
+      columns: result.columns,
+      rows: result.rows,
+      truncated: result.truncated,
+      truncatedCells: result.truncatedCells,
+      elapsedMs: result.elapsedMs,
+    };
+  }
+
+  return { run };
+}
+
+module.exports = {
+  createForkedRunner,
+  createQueryRunner,
+};
@@ -0,0 +1,68 @@
+const Database = require("better-sqlite3");
+
+function toCellValue(value, maxCellLength, counters) {
+  if (Buffer.isBuffer(value)) {
+    return `<blob ${value.length} bytes>`;
+  }
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (typeof value === "string" && value.length > maxCellLength) {
+    counters.truncatedCells += 1;
+    return value.slice(0, maxCellLength);
+  }
+  return value;
+}
+
+function runQuery({ dbPath, sql, params, maxRows, maxCellLength }) {
+  const connection = new Database(dbPath, { readonly: true, fileMustExist: true });
+
+  try {
+    connection.pragma("query_only = ON");
+    const statement = connection.prepare(sql);
+    if (!statement.reader || !statement.readonly) {
+      return {
+        ok: false,
+        code: "QUERY_NOT_READONLY",
+        message: "Only read-only statements that return rows are allowed",
+      };
+    }
+
+    statement.raw(true);
+    const columns = statement.columns().map((column) => ({
+      name: column.name,
+      type: column.type,
+      table: column.table,
+    }));
+    const counters = { truncatedCells: 0 };
+    const rows = [];
+    let truncated = false;
+    const iterator = Array.isArray(params)
+      ? statement.iterate(...params)
+      : Object.keys(params).length > 0
+        ? statement.iterate(params)
+        : statement.iterate();
+
+    for (const row of iterator) {
+      if (rows.length >= maxRows) {
+        truncated = true;
+        break;
+      }
+      rows.push(row.map((value) => toCellValue(value, maxCellLength, counters)));
+    }
+
+    return { ok: true, columns, rows, truncated, truncatedCells: counters.truncatedCells };
+  } finally {
+    connection.close();
+  }
+}
+
+process.once("message", (request) => {
+  let result;
+  try {
+    result = runQuery(request);
+  } catch (err) {
+    result = { ok: false, code: err.code || "QUERY_INVALID", message: err.message };
+  }
+  process.send(result, () => process.exit(0));
+});
@@ -0,0 +1,192 @@
+const SYMBOL_KINDS = ["function", "method", "type", "field"];
+
+const NODE_KIND_TO_SYMBOL_KIND = {
+  function: "function",
+  method: "method",
+  type: "type",
+  type_decl: "type",
+  struct: "type",
+  interface: "type",
+  field: "field",
+  member: "field",
+};
+
+const SCORE_EXACT = 1000;
+const SCORE_PREFIX = 800;
+const SCORE_SUBSTRING = 600;
+const SCORE_FUZZY = 300;
+const BONUS_CASE_EXACT = 50;
+const BONUS_EXPORTED = 30;
+
+function getLeafName(name) {
+  const raw = String(name || "");
+  return raw.split(".").pop().replace(/^[*(\s]+/, "").replace(/[)\s]+$/g, "") || raw;
+}
+
+function classifySymbol(row) {
+  const kind = NODE_KIND_TO_SYMBOL_KIND[row.kind];
+  if (kind === "function" && /^\(?\*?[A-Za-z_][A-Za-z0-9_]*\)?\./.test(String(row.name || ""))) {
+    return "method";
+  }
+  return kind || null;
+}
+
+function isWordStart(text, index) {
+  if (index === 0) {
+    return true;
+  }
+  const previous = text[index - 1];
+  const current = text[index];
+  if (previous === "_" || previous === ".") {
+    return true;
+  }
+  return previous === previous.toLowerCase() && current !== current.toLowerCase();
+}
+
+function scoreFuzzy(query, leaf) {
+  const lowerLeaf = leaf.toLowerCase();
+  const lowerQuery = query.toLowerCase();
+  let score = SCORE_FUZZY;
+  let leafIndex = 0;
+  let previousMatch = -2;
+
+  for (let queryIndex = 0; queryIndex < lowerQuery.length; queryIndex += 1) {
+    const wantsWordStart = query[queryIndex] !== query[queryIndex].toLowerCase();
+    let found = -1;
+
+    if (wantsWordStart) {
+      for (let index = leafIndex; index < lowerLeaf.length; index += 1) {
+        if (lowerLeaf[index] === lowerQuery[queryIndex] && isWordStart(leaf, index)) {
+          found = index;
+          break;
+        }
+      }
+    }
+    if (found === -1) {
+      found = lowerLeaf.indexOf(lowerQuery[queryIndex], leafIndex);
+    }
+    if (found === -1) {
+      return null;
+    }
+
+    if (found === previousMatch + 1) {
+      score += 8;
+    } else if (isWordStart(leaf, found)) {
+      score += 6;
+    } else {
+      score -= Math.min(found - leafIndex, 10);
+    }
+
+    previousMatch = found;
+    leafIndex = found + 1;
+  }
+
+  return score - (lowerLeaf.length - lowerQuery.length);
+}
+
+function scoreSymbol(query, symbol) {
+  const leaf = symbol.leaf;
+  const lowerLeaf = leaf.toLowerCase();
+  const lowerQuery = query.toLowerCase();
+  let score;
+
+  if (lowerLeaf === lowerQuery) {
+    score = SCORE_EXACT + (leaf === query ? BONUS_CASE_EXACT : 0);
+  } else if (lowerLeaf.startsWith(lowerQuery)) {
+    score = SCORE_PREFIX + (leaf.startsWith(query) ? BONUS_CASE_EXACT : 0);
+  } else if (lowerLeaf.includes(lowerQuery)) {
+    score = SCORE_SUBSTRING + (leaf.includes(query) ? BONUS_CASE_EXACT : 0);
+  } else {
+    score = scoreFuzzy(query, leaf);
+    if (score === null) {
+      return null;
+    }
+  }
+
+  return score + (symbol.exported ? BONUS_EXPORTED : 0);
+}
+
+function buildSymbolIndex(rows) {
+  const symbols = [];
+
+  for (const row of rows) {
+    const kind = classifySymbol(row);
+    if (!kind) {
+      continue;
+    }
+
+    const leaf = getLeafName(row.name);
+    symbols.push({
+      id: row.id,
+      kind,
+      nodeKind: row.kind,
+      name: row.name,
+      leaf,
+      package: row.package,
+      file: row.file,
+      line: row.line,
+      exported: /^[A-Z]/.test(leaf),
+    });
+  }
+
+  function search({ query, kinds, packageName, pathPrefix, limit, offset }) {
+    const ranked = [];
+
+    for (const symbol of symbols) {
+      if (kinds.length > 0 && !kinds.includes(symbol.kind)) {
+        continue;
+      }
+      if (packageName && symbol.package !== packageName) {
+        continue;
+      }
+      if (pathPrefix && !String(symbol.file || "").startsWith(pathPrefix)) {
+        continue;
+      }
+
+      const score = scoreSymbol(query, symbol);
+      if (score !== null) {
+        ranked.push({ symbol, score });
+      }
+    }
+
+    ranked.sort((left, right) => {
+      if (left.score !== right.score) {
+        return right.score - left.score;
+      }
+      if (left.symbol.leaf.length !== right.symbol.leaf.length) {
+        return left.symbol.leaf.length - right.symbol.leaf.length;
+      }
+      const nameDelta = String(left.symbol.name).localeCompare(String(right.symbol.name));
+      if (nameDelta !== 0) {
+        return nameDelta;
+      }
+      return String(left.symbol.id).localeCompare(String(right.symbol.id));
+    });
+
+    return {
+      total: ranked.length,
+      symbols: ranked.slice(offset, offset + limit).map(({ symbol, score }) => ({
+        id: symbol.id,
+        kind: symbol.kind,
+        nodeKind: symbol.nodeKind,
+        name: symbol.name,
+        package: symbol.package,
+        file: symbol.file,
+        line: symbol.line,
+        exported: symbol.exported,
+        score,
+      })),
+    };
+  }
+
+  return {
+    symbolCount: symbols.length,
+    search,
+  };
+}
+
+module.exports = {
+  NODE_KIND_TO_SYMBOL_KIND,
+  SYMBOL_KINDS,
+  buildSymbolIndex,
+};